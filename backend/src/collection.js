@@ -0,0 +1,10 @@
+// src/collection.js
+// Collection definition (clans, rarities, supply) shared with the scripts via config/collection.json
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { loadCollectionConfig } = require('../../scripts/src/collection-config.cjs');
+
+// Loaded once at startup; an invalid config stops the server with the full list of problems
+export const collection = loadCollectionConfig();
@@ -0,0 +1,186 @@
+// src/db/memoryStore.js
+// In-memory storage for episodes, votes and token evolution
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_STATE_PATH = fileURLToPath(new URL('../../data/store-state.json', import.meta.url));
+
+/**
+ * Storage interface used by the voting services. Every method is async so
+ * that a Redis or Postgres implementation can be dropped in.
+ *
+ *   getEpisode(episodeId)          -> episode or null
+ *   listEpisodes()                 -> episodes
+ *   saveEpisode(episode)           -> episode (insert or replace by id)
+ *   recordVotes(episodeId, votes)  -> token IDs that had already voted; when
+ *                                     non-empty nothing is recorded (atomic)
+ *   getVotes(episodeId)            -> recorded votes
+ *   getTallies(episodeId)          -> { [optionId]: { votingPower, tokens } }
+ *   getEvolution(tokenId)          -> token evolution or null
+ *   saveEvolutions(evolutions)     -> evolutions (insert or replace by tokenId)
+ *   listEvolutions()               -> every token evolution, by token ID
+ *
+ * A vote is { episodeId, tokenId, optionId, voter, votingPower, timestamp }.
+ * A token evolution is described in services/evolution.js.
+ *
+ * With statePath set, episodes, votes and token evolutions are written to
+ * that JSON file on every change, so episode ids, tallies and finalizations
+ * survive a restart; load them back with loadStoreState().
+ */
+export class MemoryStore {
+  constructor({ episodes = [], votes = [], evolutions = [], statePath = null } = {}) {
+    this.episodes = new Map();
+    this.votes = new Map();
+    this.evolutions = new Map();
+    this.statePath = statePath;
+    this.persisting = Promise.resolve();
+
+    for (const episode of episodes) {
+      this.episodes.set(episode.id, structuredClone(episode));
+    }
+    for (const vote of votes) {
+      this.episodeVotes(vote.episodeId).set(vote.tokenId, { ...vote });
+    }
+    for (const evolution of evolutions) {
+      this.evolutions.set(evolution.tokenId, structuredClone(evolution));
+    }
+  }
+
+  async getEpisode(episodeId) {
+    const episode = this.episodes.get(episodeId);
+    return episode ? structuredClone(episode) : null;
+  }
+
+  async listEpisodes() {
+    return [...this.episodes.values()]
+      .sort((a, b) => a.id - b.id)
+      .map(episode => structuredClone(episode));
+  }
+
+  async saveEpisode(episode) {
+    this.episodes.set(episode.id, structuredClone(episode));
+    await this.persist();
+    return structuredClone(episode);
+  }
+
+  async recordVotes(episodeId, votes) {
+    const episodeVotes = this.episodeVotes(episodeId);
+    const alreadyVoted = votes
+      .filter(vote => episodeVotes.has(vote.tokenId))
+      .map(vote => vote.tokenId);
+
+    if (alreadyVoted.length > 0) {
+      return alreadyVoted;
+    }
+
+    for (const vote of votes) {
+      episodeVotes.set(vote.tokenId, { ...vote });
+    }
+    await this.persist();
+    return [];
+  }
+
+  async getVotes(episodeId) {
+    return [...this.episodeVotes(episodeId).values()].map(vote => ({ ...vote }));
+  }
+
+  async getTallies(episodeId) {
+    const tallies = {};
+
+    for (const vote of this.episodeVotes(episodeId).values()) {
+      const tally = tallies[vote.optionId] || (tallies[vote.optionId] = { votingPower: 0, tokens: 0 });
+      tally.votingPower += vote.votingPower;
+      tally.tokens += 1;
+    }
+
+    return tallies;
+  }
+
+  async getEvolution(tokenId) {
+    const evolution = this.evolutions.get(tokenId);
+    return evolution ? structuredClone(evolution) : null;
+  }
+
+  async saveEvolutions(evolutions) {
+    for (const evolution of evolutions) {
+      this.evolutions.set(evolution.tokenId, structuredClone(evolution));
+    }
+    await this.persist();
+    return evolutions.map(evolution => structuredClone(evolution));
+  }
+
+  async listEvolutions() {
+    return [...this.evolutions.values()]
+      .sort((a, b) => a.tokenId - b.tokenId)
+      .map(evolution => structuredClone(evolution));
+  }
+
+  /**
+   * Write the whole store to statePath; writes are queued so a slow one never
+   * lands after a newer one, and a failed one is made good by the next
+   */
+  persist() {
+    if (!this.statePath) {
+      return Promise.resolve();
+    }
+
+    const snapshot = JSON.stringify({
+      episodes: [...this.episodes.values()].sort((a, b) => a.id - b.id),
+      votes: [...this.votes.values()].flatMap(episodeVotes => [...episodeVotes.values()]),
+      evolutions: [...this.evolutions.values()].sort((a, b) => a.tokenId - b.tokenId)
+    }, null, 2);
+    const write = async () => {
+      const tmpPath = `${this.statePath}.tmp`;
+      await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, this.statePath);
+    };
+
+    this.persisting = this.persisting.catch(() => {}).then(write);
+    return this.persisting;
+  }
+
+  episodeVotes(episodeId) {
+    if (!this.votes.has(episodeId)) {
+      this.votes.set(episodeId, new Map());
+    }
+    return this.votes.get(episodeId);
+  }
+}
+
+/**
+ * Read episodes (with their vote options) from a JSON seed file
+ */
+export async function loadEpisodeSeed(filePath) {
+  if (!filePath) {
+    return [];
+  }
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Read the episodes, votes and token evolutions saved by a MemoryStore with
+ * statePath; empty before the first save
+ */
+export async function loadStoreState(filePath) {
+  try {
+    const { episodes = [], votes = [], evolutions = [] } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return { episodes, votes, evolutions };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { episodes: [], votes: [], evolutions: [] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Saved episodes replace their seed entries, which only describe the
+ * episodes as first written
+ */
+export function mergeEpisodes(seed, saved) {
+  const savedIds = new Set(saved.map(episode => episode.id));
+  return [...saved, ...seed.filter(episode => !savedIds.has(episode.id))];
+}
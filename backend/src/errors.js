@@ -0,0 +1,41 @@
+// src/errors.js
+
+/**
+ * Error carrying the HTTP status the API should answer with
+ */
+export class ApiError extends Error {
+  constructor(status, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Forward rejected promises from async route handlers to the error middleware
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Express error middleware: ApiErrors become JSON responses, anything else a 500
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.details !== undefined && { details: error.details })
+    });
+  }
+
+  console.error('Unhandled error:', error);
+  res.status(500).json({ error: 'Internal server error' });
+}
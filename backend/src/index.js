@@ -2,12 +2,43 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
+import { DEFAULT_STATE_PATH, loadEpisodeSeed, loadStoreState, MemoryStore, mergeEpisodes } from './db/memoryStore.js';
+import { asyncHandler, errorHandler } from './errors.js';
+import { requireAdmin } from './middleware/adminAuth.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createEpisodesRouter } from './routes/episodes.js';
+import { ChainService } from './services/chain.js';
+import { EpisodeService } from './services/episodes.js';
+import { EvolutionService } from './services/evolution.js';
+import { MetadataService } from './services/metadata.js';
+import { RevealService } from './services/reveal.js';
+import { TallyStream } from './services/tallyStream.js';
+import { VoteService } from './services/votes.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+const chainService = new ChainService();
+const metadataService = new MetadataService();
+const revealService = new RevealService(chainService);
+const statePath = process.env.STORE_STATE_PATH || DEFAULT_STATE_PATH;
+const storeState = await loadStoreState(statePath);
+const store = new MemoryStore({
+  ...storeState,
+  episodes: mergeEpisodes(await loadEpisodeSeed(process.env.EPISODES_FILE), storeState.episodes),
+  statePath
+});
+const episodeService = new EpisodeService(store);
+const voteService = new VoteService(store, chainService);
+const evolutionService = new EvolutionService({ store, episodeService });
+const tallyStream = new TallyStream({ episodeService, voteService });
+
+if (!chainService.isConfigured()) {
+  console.warn('⚠️  RPC_URL/CONTRACT_ADDRESS not set: all tokens will be served unrevealed');
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -22,53 +53,80 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Metadata endpoint
+// Tokens whose metadata evolved since ?since= (ISO date), optionally through ?episodeId=,
+// so marketplaces can be asked to refresh them
+app.get('/api/metadata/changes', asyncHandler(async (req, res) => {
+  const { since, episodeId } = req.query;
+  res.json(await evolutionService.listChanges({
+    since,
+    episodeId: episodeId === undefined ? undefined : Number(episodeId)
+  }));
+}));
+
+// Metadata version history of a token
+app.get('/api/metadata/:tokenId/history', asyncHandler(async (req, res) => {
+  const tokenId = Number(req.params.tokenId);
+
+  if (!Number.isInteger(tokenId) || tokenId < 1 || tokenId > metadataService.totalSupply) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  res.json(await evolutionService.getHistory(tokenId));
+}));
+
+// Metadata endpoint; revealed warriors carry their evolution from finalized episodes
 app.get('/api/metadata/:tokenId', async (req, res) => {
-  const { tokenId } = req.params;
-  
-  // Calculate clan and warrior number
-  const clan = Math.floor((parseInt(tokenId) - 1) / 200);
-  const warriorInClan = ((parseInt(tokenId) - 1) % 200) + 1;
-  
-  const clans = [
-    'Dragon', 'Phoenix', 'Tiger', 'Serpent',
-    'Eagle', 'Wolf', 'Bear', 'Lion'
-  ];
-  
-  const metadata = {
-    name: `Bushido Warrior #${tokenId}`,
-    description: `A legendary warrior of the ${clans[clan]} clan.`,
-    image: `ipfs://QmXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX/${tokenId}.png`,
-    attributes: [
-      {
-        trait_type: 'Clan',
-        value: clans[clan]
-      },
-      {
-        trait_type: 'Warrior Number',
-        value: warriorInClan
-      }
-    ]
-  };
-  
-  res.json(metadata);
-});
+  const tokenId = Number(req.params.tokenId);
 
-// Voting endpoints
-app.get('/api/episodes/:episodeId/votes', async (req, res) => {
-  // Return current vote tallies
-  res.json({
-    episodeId: req.params.episodeId,
-    options: [],
-    totalVotes: 0
-  });
+  if (!Number.isInteger(tokenId) || tokenId < 1 || tokenId > metadataService.totalSupply) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+
+  try {
+    // Unrevealed or unminted tokens get the placeholder, even before any metadata is generated
+    if (!(await revealService.isRevealed(tokenId))) {
+      res.set('Cache-Control', 'public, max-age=60');
+      return res.json(revealService.placeholderMetadata(tokenId));
+    }
+
+    const metadata = await metadataService.getTokenMetadata(tokenId);
+
+    if (!metadata) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(await evolutionService.applyTo(tokenId, metadata));
+  } catch (error) {
+    console.error('Failed to load metadata:', error);
+    res.status(503).json({ error: 'Metadata unavailable' });
+  }
 });
 
-app.post('/api/episodes/:episodeId/vote', async (req, res) => {
-  // Process vote
-  res.json({ success: true });
+// Contract-level metadata for marketplaces (contractURI)
+app.get('/api/contract-metadata', async (req, res) => {
+  try {
+    const metadata = await metadataService.getContractMetadata();
+
+    if (!metadata) {
+      return res.status(404).json({ error: 'Contract metadata not generated' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(metadata);
+  } catch (error) {
+    console.error('Failed to load contract metadata:', error);
+    res.status(503).json({ error: 'Metadata unavailable' });
+  }
 });
 
+// Admin endpoints
+app.use('/api/admin', requireAdmin, createAdminRouter({ episodeService, evolutionService, revealService }));
+
+// Episode and voting endpoints
+app.use('/api/episodes', createEpisodesRouter({ episodeService, voteService, tallyStream }));
+
+app.use(errorHandler);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -0,0 +1,27 @@
+// src/middleware/adminAuth.js
+import crypto from 'crypto';
+
+/**
+ * Guard admin routes with a shared bearer token (ADMIN_API_KEY)
+ */
+export function requireAdmin(req, res, next) {
+  const apiKey = process.env.ADMIN_API_KEY;
+
+  if (!apiKey) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const expected = Buffer.from(apiKey);
+  const provided = Buffer.from(token || '');
+
+  if (
+    scheme !== 'Bearer' ||
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
@@ -0,0 +1,55 @@
+// src/routes/admin.js
+// Mounted behind requireAdmin
+import { Router } from 'express';
+import { ApiError, asyncHandler } from '../errors.js';
+
+export function createAdminRouter({ episodeService, evolutionService, revealService }) {
+  const router = Router();
+
+  // Reveal administration
+  router.get('/reveal', asyncHandler(async (req, res) => {
+    res.json(await revealService.getState());
+  }));
+
+  router.post('/reveal', asyncHandler(async (req, res) => {
+    const { all, clans } = req.body || {};
+
+    if (!all && (!Array.isArray(clans) || clans.length === 0)) {
+      throw new ApiError(400, 'Provide a list of clans or all: true');
+    }
+
+    res.json(await revealService.reveal(all ? 'all' : clans));
+  }));
+
+  // Episode management
+  router.get('/episodes', asyncHandler(async (req, res) => {
+    res.json(await episodeService.list({ includeDrafts: true }));
+  }));
+
+  router.post('/episodes', asyncHandler(async (req, res) => {
+    res.status(201).json(await episodeService.create(req.body));
+  }));
+
+  router.get('/episodes/:episodeId', asyncHandler(async (req, res) => {
+    res.json(await episodeService.get(Number(req.params.episodeId), { includeDrafts: true }));
+  }));
+
+  router.patch('/episodes/:episodeId', asyncHandler(async (req, res) => {
+    res.json(await episodeService.update(Number(req.params.episodeId), req.body));
+  }));
+
+  router.post('/episodes/:episodeId/publish', asyncHandler(async (req, res) => {
+    res.json(await episodeService.publish(Number(req.params.episodeId)));
+  }));
+
+  router.post('/episodes/:episodeId/close', asyncHandler(async (req, res) => {
+    res.json(await episodeService.close(Number(req.params.episodeId)));
+  }));
+
+  // Apply an ended episode to its voters' metadata now rather than at the next sweep
+  router.post('/episodes/:episodeId/finalize', asyncHandler(async (req, res) => {
+    res.json(await evolutionService.finalize(Number(req.params.episodeId)));
+  }));
+
+  return router;
+}
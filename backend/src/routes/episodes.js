@@ -0,0 +1,39 @@
+// src/routes/episodes.js
+import { Router } from 'express';
+import { asyncHandler } from '../errors.js';
+import { BALLOT_TYPES, getBallotDomain } from '../services/ballot.js';
+
+export function createEpisodesRouter({ episodeService, voteService, tallyStream }) {
+  const router = Router();
+
+  // Typed data the frontend needs to build a ballot signature
+  router.get('/ballot-schema', (req, res) => {
+    res.json({ domain: getBallotDomain(), types: BALLOT_TYPES, primaryType: 'Vote' });
+  });
+
+  // Published episodes
+  router.get('/', asyncHandler(async (req, res) => {
+    res.json(await episodeService.list());
+  }));
+
+  router.get('/:episodeId', asyncHandler(async (req, res) => {
+    res.json(await episodeService.get(Number(req.params.episodeId)));
+  }));
+
+  // Current vote tallies
+  router.get('/:episodeId/votes', asyncHandler(async (req, res) => {
+    res.json(await voteService.getResults(Number(req.params.episodeId)));
+  }));
+
+  // Live tallies over Server-Sent Events
+  router.get('/:episodeId/votes/stream', asyncHandler(async (req, res) => {
+    await tallyStream.subscribe(Number(req.params.episodeId), req, res);
+  }));
+
+  // Signed ballot: { voter, optionId, tokenIds, signature }
+  router.post('/:episodeId/vote', asyncHandler(async (req, res) => {
+    res.json(await voteService.castVote(Number(req.params.episodeId), req.body));
+  }));
+
+  return router;
+}
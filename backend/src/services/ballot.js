@@ -0,0 +1,36 @@
+// src/services/ballot.js
+// EIP-712 typed data for off-chain episode votes
+
+import { ethers } from 'ethers';
+
+export const BALLOT_TYPES = {
+  Vote: [
+    { name: 'voter', type: 'address' },
+    { name: 'episodeId', type: 'uint256' },
+    { name: 'optionId', type: 'uint256' },
+    { name: 'tokenIds', type: 'uint256[]' }
+  ]
+};
+
+/**
+ * Domain the frontend must sign against; bound to the NFT contract and chain
+ */
+export function getBallotDomain() {
+  return {
+    name: 'Bushido',
+    version: '1',
+    chainId: parseInt(process.env.CHAIN_ID || '11124'),
+    verifyingContract: process.env.CONTRACT_ADDRESS || ethers.ZeroAddress
+  };
+}
+
+/**
+ * Recover the address that signed a ballot, or null if the signature is malformed
+ */
+export function recoverBallotSigner(ballot, signature) {
+  try {
+    return ethers.verifyTypedData(getBallotDomain(), BALLOT_TYPES, ballot, signature);
+  } catch {
+    return null;
+  }
+}
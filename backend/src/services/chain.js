@@ -0,0 +1,84 @@
+// src/services/chain.js
+// Read-only view of the deployed BushidoNFT contract
+
+import { ethers } from 'ethers';
+
+const BUSHIDO_ABI = [
+  'function totalMinted() view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function tokenRarity(uint256 tokenId) view returns (uint256)'
+];
+
+const MINTED_CACHE_MS = 15 * 1000;
+
+export class ChainService {
+  constructor(options = {}) {
+    const rpcUrl = options.rpcUrl || process.env.RPC_URL || process.env.ABSTRACT_RPC;
+    const contractAddress = options.contractAddress || process.env.CONTRACT_ADDRESS;
+
+    this.contract = null;
+    this.mintedCache = { value: 0, fetchedAt: 0 };
+
+    if (rpcUrl && contractAddress) {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      this.contract = new ethers.Contract(contractAddress, BUSHIDO_ABI, provider);
+    }
+  }
+
+  isConfigured() {
+    return this.contract !== null;
+  }
+
+  /**
+   * Number of tokens minted so far (cached briefly to spare the RPC)
+   */
+  async totalMinted() {
+    if (!this.contract) {
+      return 0;
+    }
+
+    if (Date.now() - this.mintedCache.fetchedAt > MINTED_CACHE_MS) {
+      const minted = await this.contract.totalMinted();
+      this.mintedCache = { value: Number(minted), fetchedAt: Date.now() };
+    }
+
+    return this.mintedCache.value;
+  }
+
+  /**
+   * Token IDs are minted sequentially, so anything up to the counter exists
+   */
+  async isMinted(tokenId) {
+    return tokenId <= await this.totalMinted();
+  }
+
+  /**
+   * Current owner of a token, or null if the token does not exist
+   */
+  async ownerOf(tokenId) {
+    this.requireContract();
+
+    try {
+      return await this.contract.ownerOf(tokenId);
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rarity tier (0 = Common ... 4 = Legendary) rolled at mint
+   */
+  async tokenRarity(tokenId) {
+    this.requireContract();
+    return Number(await this.contract.tokenRarity(tokenId));
+  }
+
+  requireContract() {
+    if (!this.contract) {
+      throw new Error('Chain access is not configured (RPC_URL/CONTRACT_ADDRESS)');
+    }
+  }
+}
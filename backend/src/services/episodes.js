@@ -0,0 +1,270 @@
+// src/services/episodes.js
+// Episode lifecycle: draft -> published -> closed -> finalized
+
+import { EventEmitter } from 'events';
+import { ApiError } from '../errors.js';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+const EDITABLE_FIELDS = [
+  'title', 'description', 'videoUrl', 'thumbnailUrl', 'releaseDate', 'votingDeadline', 'keyVote', 'rewards'
+];
+
+// Who an episode's rewards go to once it is finalized (see services/evolution.js)
+const REWARD_GROUPS = ['participants', 'winners'];
+
+/**
+ * Voting is open once a published episode is released and until its
+ * deadline passes or an admin closes it
+ */
+export function isVotingOpen(episode, now = new Date()) {
+  return Boolean(
+    episode.published &&
+    !episode.closedAt &&
+    now >= new Date(episode.releaseDate) &&
+    (!episode.votingDeadline || now < new Date(episode.votingDeadline))
+  );
+}
+
+/**
+ * Voting has ended once an admin closes the episode or its deadline passes
+ */
+export function hasVotingEnded(episode, now = new Date()) {
+  return Boolean(
+    episode.closedAt ||
+    (episode.votingDeadline && new Date(episode.votingDeadline) <= now)
+  );
+}
+
+/**
+ * Emits 'updated' when an episode's details or window change and 'closed'
+ * when an admin ends voting
+ */
+export class EpisodeService extends EventEmitter {
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  async list({ includeDrafts = false } = {}) {
+    const episodes = await this.store.listEpisodes();
+    return episodes
+      .filter(episode => includeDrafts || episode.published)
+      .map(episode => this.present(episode));
+  }
+
+  async get(episodeId, { includeDrafts = false } = {}) {
+    return this.present(await this.requireEpisode(episodeId, { includeDrafts }));
+  }
+
+  async create(data = {}) {
+    const episodes = await this.store.listEpisodes();
+    const now = new Date().toISOString();
+
+    const episode = {
+      id: episodes.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+      title: null,
+      description: null,
+      videoUrl: null,
+      thumbnailUrl: null,
+      releaseDate: null,
+      votingDeadline: null,
+      keyVote: false,
+      rewards: null,
+      ...this.pickFields(data),
+      options: this.buildOptions(data.options),
+      published: false,
+      publishedAt: null,
+      closedAt: null,
+      finalizedAt: null,
+      outcome: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.validate(episode);
+    return this.present(await this.store.saveEpisode(episode));
+  }
+
+  async update(episodeId, data = {}) {
+    const episode = await this.requireEpisode(episodeId, { includeDrafts: true });
+
+    // Tallies, and once finalized token metadata, depend on the episode as it stood when voting ended
+    if (episode.closedAt || episode.finalizedAt || (episode.published && hasVotingEnded(episode))) {
+      throw new ApiError(409, 'Episodes cannot be edited after voting has ended');
+    }
+
+    Object.assign(episode, this.pickFields(data));
+
+    if (data.options !== undefined) {
+      const votes = await this.store.getVotes(episode.id);
+      if (votes.length > 0) {
+        throw new ApiError(409, 'Vote options cannot change after voting has started');
+      }
+      episode.options = this.buildOptions(data.options);
+    }
+
+    episode.updatedAt = new Date().toISOString();
+    this.validate(episode);
+
+    const saved = await this.store.saveEpisode(episode);
+    this.emit('updated', saved);
+    return this.present(saved);
+  }
+
+  async publish(episodeId) {
+    const episode = await this.requireEpisode(episodeId, { includeDrafts: true });
+
+    if (episode.closedAt) {
+      throw new ApiError(409, 'Episode is closed');
+    }
+    if (!episode.votingDeadline) {
+      throw new ApiError(400, 'A voting deadline is required before publishing');
+    }
+
+    episode.published = true;
+    episode.publishedAt = episode.publishedAt || new Date().toISOString();
+    episode.updatedAt = new Date().toISOString();
+
+    const saved = await this.store.saveEpisode(episode);
+    this.emit('updated', saved);
+    return this.present(saved);
+  }
+
+  /**
+   * End voting immediately; tallies are final from here on
+   */
+  async close(episodeId) {
+    const episode = await this.requireEpisode(episodeId, { includeDrafts: true });
+
+    if (episode.closedAt) {
+      throw new ApiError(409, 'Episode is already closed');
+    }
+
+    episode.closedAt = new Date().toISOString();
+    episode.updatedAt = episode.closedAt;
+
+    const saved = await this.store.saveEpisode(episode);
+    this.emit('closed', saved);
+    return this.present(saved);
+  }
+
+  async requireEpisode(episodeId, { includeDrafts = false } = {}) {
+    const episode = Number.isInteger(episodeId) ? await this.store.getEpisode(episodeId) : null;
+
+    if (!episode || (!includeDrafts && !episode.published)) {
+      throw new ApiError(404, 'Episode not found');
+    }
+    return episode;
+  }
+
+  present(episode) {
+    return {
+      ...episode,
+      options: [...episode.options].sort((a, b) => a.order - b.order),
+      votingOpen: isVotingOpen(episode)
+    };
+  }
+
+  pickFields(data) {
+    return Object.fromEntries(
+      EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+    );
+  }
+
+  /**
+   * Options keep the order they are given in
+   */
+  buildOptions(options = []) {
+    if (!Array.isArray(options)) {
+      throw new ApiError(400, 'options must be an array');
+    }
+
+    return options.map((option, index) => {
+      if (typeof option?.optionText !== 'string' || !option.optionText.trim()) {
+        throw new ApiError(400, `Option ${index + 1} needs optionText`);
+      }
+      return {
+        id: index + 1,
+        optionText: option.optionText.trim(),
+        description: option.description || null,
+        order: index
+      };
+    });
+  }
+
+  validate(episode) {
+    const errors = [];
+
+    if (typeof episode.title !== 'string' || !episode.title.trim()) {
+      errors.push('title is required');
+    }
+    if (typeof episode.videoUrl !== 'string' || !isUrl(episode.videoUrl)) {
+      errors.push('videoUrl must be a URL');
+    }
+    if (episode.thumbnailUrl && !isUrl(episode.thumbnailUrl)) {
+      errors.push('thumbnailUrl must be a URL');
+    }
+    if (!isDate(episode.releaseDate)) {
+      errors.push('releaseDate must be an ISO date');
+    }
+    if (episode.votingDeadline) {
+      if (!isDate(episode.votingDeadline)) {
+        errors.push('votingDeadline must be an ISO date');
+      } else if (new Date(episode.votingDeadline) <= new Date(episode.releaseDate)) {
+        errors.push('votingDeadline must be after releaseDate');
+      }
+    }
+    if (episode.options.length < MIN_OPTIONS || episode.options.length > MAX_OPTIONS) {
+      errors.push(`Episodes need ${MIN_OPTIONS}-${MAX_OPTIONS} vote options`);
+    }
+    if (episode.keyVote !== undefined && typeof episode.keyVote !== 'boolean') {
+      errors.push('keyVote must be true or false');
+    }
+    errors.push(...validateRewards(episode.rewards));
+
+    if (errors.length > 0) {
+      throw new ApiError(400, 'Invalid episode', errors);
+    }
+  }
+}
+
+/**
+ * rewards: { participants?: { badge?, background? }, winners?: { badge?, background? } }
+ */
+function validateRewards(rewards) {
+  if (rewards === null || rewards === undefined) {
+    return [];
+  }
+  if (typeof rewards !== 'object' || Array.isArray(rewards)) {
+    return ['rewards must be an object'];
+  }
+
+  const errors = [];
+  for (const [group, reward] of Object.entries(rewards)) {
+    if (!REWARD_GROUPS.includes(group)) {
+      errors.push(`rewards.${group} is not one of ${REWARD_GROUPS.join(', ')}`);
+      continue;
+    }
+    for (const field of ['badge', 'background']) {
+      if (reward?.[field] !== undefined && (typeof reward[field] !== 'string' || !reward[field].trim())) {
+        errors.push(`rewards.${group}.${field} must be a non-empty string`);
+      }
+    }
+  }
+  return errors;
+}
+
+function isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
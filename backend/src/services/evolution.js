@@ -0,0 +1,248 @@
+// src/services/evolution.js
+// Warrior metadata that evolves with the story: battles fought, sides chosen
+// in key votes, and badges or backgrounds granted when an episode is finalized
+
+import { ApiError } from '../errors.js';
+import { hasVotingEnded } from './episodes.js';
+
+// How often episodes whose deadline simply passed are looked for
+const SWEEP_MS = 60 * 1000;
+
+const BATTLES_FOUGHT = 'Battles Fought';
+const BADGE = 'Badge';
+const BACKGROUND = 'Background';
+
+function sideTrait(episodeId) {
+  return `Side Chosen: Ep. ${episodeId}`;
+}
+
+/**
+ * Overlay a token's evolution on its generated metadata
+ */
+export function applyEvolution(metadata, evolution) {
+  const attributes = metadata.attributes.map(attribute =>
+    attribute.trait_type === BACKGROUND && evolution.background
+      ? { ...attribute, value: evolution.background }
+      : attribute
+  );
+  if (evolution.background && !attributes.some(attribute => attribute.trait_type === BACKGROUND)) {
+    attributes.push({ trait_type: BACKGROUND, value: evolution.background });
+  }
+
+  attributes.push({ trait_type: BATTLES_FOUGHT, value: evolution.battlesFought, display_type: 'number' });
+  evolution.sides.forEach(side => attributes.push({ trait_type: sideTrait(side.episodeId), value: side.optionText }));
+  evolution.badges.forEach(badge => attributes.push({ trait_type: BADGE, value: badge }));
+
+  return {
+    ...metadata,
+    attributes,
+    properties: {
+      ...metadata.properties,
+      version: evolution.version,
+      updated_at: evolution.updatedAt
+    }
+  };
+}
+
+/**
+ * A token's evolution is
+ *   { tokenId, version, battlesFought, sides: [{ episodeId, optionId, optionText }],
+ *     badges, background, history, updatedAt }
+ * and every finalized episode the token voted in adds one history entry
+ *   { version, episodeId, changes: [{ trait_type, value }], updatedAt }
+ */
+export class EvolutionService {
+  constructor({ store, episodeService }) {
+    this.store = store;
+    this.episodes = episodeService;
+    this.finalizing = new Set();
+
+    // Closing finalizes straight away; deadlines that pass on their own are caught by the sweep
+    this.episodes.on('closed', episode => this.finalizeQuietly(episode.id));
+
+    this.sweep = setInterval(() => this.finalizeEnded(), SWEEP_MS);
+    this.sweep.unref();
+  }
+
+  /**
+   * Apply an ended episode's participation and outcome to every token that voted in it
+   */
+  async finalize(episodeId) {
+    const episode = Number.isInteger(episodeId) ? await this.store.getEpisode(episodeId) : null;
+
+    if (!episode || !episode.published) {
+      throw new ApiError(404, 'Episode not found');
+    }
+    if (episode.finalizedAt) {
+      throw new ApiError(409, 'Episode is already finalized');
+    }
+    if (!hasVotingEnded(episode)) {
+      throw new ApiError(409, 'Voting has not ended for this episode');
+    }
+    if (this.finalizing.has(episode.id)) {
+      throw new ApiError(409, 'Episode is already being finalized');
+    }
+
+    this.finalizing.add(episode.id);
+    try {
+      const votes = await this.store.getVotes(episode.id);
+      const winningOptionId = this.winningOption(await this.store.getTallies(episode.id));
+      const updatedAt = new Date().toISOString();
+
+      const evolutions = await Promise.all(votes.map(async vote => {
+        const evolution = (await this.store.getEvolution(vote.tokenId)) || this.newEvolution(vote.tokenId);
+        return this.evolve(evolution, episode, vote, winningOptionId, updatedAt);
+      }));
+      const changed = evolutions.filter(Boolean);
+      await this.store.saveEvolutions(changed);
+
+      episode.finalizedAt = updatedAt;
+      episode.outcome = { winningOptionId, tokens: votes.length };
+      episode.updatedAt = updatedAt;
+      await this.store.saveEpisode(episode);
+
+      const tokenIds = changed.map(evolution => evolution.tokenId).sort((a, b) => a - b);
+
+      return { episodeId: episode.id, winningOptionId, tokenIds, finalizedAt: updatedAt };
+    } finally {
+      this.finalizing.delete(episode.id);
+    }
+  }
+
+  async finalizeEnded() {
+    try {
+      const episodes = await this.store.listEpisodes();
+      const due = episodes.filter(episode =>
+        episode.published && !episode.finalizedAt && !this.finalizing.has(episode.id) && hasVotingEnded(episode)
+      );
+      await Promise.all(due.map(episode => this.finalizeQuietly(episode.id)));
+    } catch (error) {
+      console.error('Failed to look for episodes to finalize:', error);
+    }
+  }
+
+  finalizeQuietly(episodeId) {
+    return this.finalize(episodeId).catch(error => {
+      console.error(`Failed to finalize episode ${episodeId}:`, error);
+    });
+  }
+
+  /**
+   * Option with the most voting power; null without votes or on a tie
+   */
+  winningOption(tallies) {
+    const ranked = Object.entries(tallies).sort((a, b) => b[1].votingPower - a[1].votingPower);
+
+    if (ranked.length === 0 || (ranked.length > 1 && ranked[1][1].votingPower === ranked[0][1].votingPower)) {
+      return null;
+    }
+    return Number(ranked[0][0]);
+  }
+
+  /**
+   * Record one episode on a token; null if the episode was already applied to it
+   */
+  evolve(evolution, episode, vote, winningOptionId, updatedAt) {
+    if (evolution.history.some(entry => entry.episodeId === episode.id)) {
+      return null;
+    }
+
+    const changes = [];
+
+    evolution.battlesFought += 1;
+    changes.push({ trait_type: BATTLES_FOUGHT, value: evolution.battlesFought });
+
+    if (episode.keyVote) {
+      const option = episode.options.find(candidate => candidate.id === vote.optionId);
+      const side = { episodeId: episode.id, optionId: vote.optionId, optionText: option?.optionText || `Option ${vote.optionId}` };
+      evolution.sides.push(side);
+      changes.push({ trait_type: sideTrait(episode.id), value: side.optionText });
+    }
+
+    // Winners' rewards come last, so their background wins over the participants' one
+    const rewards = [
+      episode.rewards?.participants,
+      winningOptionId !== null && vote.optionId === winningOptionId ? episode.rewards?.winners : null
+    ].filter(Boolean);
+
+    for (const reward of rewards) {
+      if (reward.badge && !evolution.badges.includes(reward.badge)) {
+        evolution.badges.push(reward.badge);
+        changes.push({ trait_type: BADGE, value: reward.badge });
+      }
+      if (reward.background && reward.background !== evolution.background) {
+        evolution.background = reward.background;
+        changes.push({ trait_type: BACKGROUND, value: reward.background });
+      }
+    }
+
+    evolution.version += 1;
+    evolution.updatedAt = updatedAt;
+    evolution.history.push({ version: evolution.version, episodeId: episode.id, changes, updatedAt });
+    return evolution;
+  }
+
+  newEvolution(tokenId) {
+    return {
+      tokenId,
+      version: 0,
+      battlesFought: 0,
+      sides: [],
+      badges: [],
+      background: null,
+      history: [],
+      updatedAt: null
+    };
+  }
+
+  async applyTo(tokenId, metadata) {
+    const evolution = await this.store.getEvolution(tokenId);
+    return evolution ? applyEvolution(metadata, evolution) : metadata;
+  }
+
+  /**
+   * Version history of a token's metadata; version 0 is the generated metadata
+   */
+  async getHistory(tokenId) {
+    const evolution = await this.store.getEvolution(tokenId);
+
+    return {
+      tokenId,
+      version: evolution?.version || 0,
+      updatedAt: evolution?.updatedAt || null,
+      history: evolution?.history || []
+    };
+  }
+
+  /**
+   * Tokens whose metadata changed after `since` (and, optionally, through one
+   * episode), so marketplaces can be asked to refresh them; pass the returned
+   * `until` as the next `since`
+   */
+  async listChanges({ since, episodeId } = {}) {
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      throw new ApiError(400, 'since must be an ISO date');
+    }
+    if (episodeId !== undefined && !Number.isInteger(episodeId)) {
+      throw new ApiError(400, 'episodeId must be an integer');
+    }
+
+    const sinceTime = since === undefined ? -Infinity : Date.parse(since);
+    const changed = (await this.store.listEvolutions()).filter(evolution =>
+      evolution.history.some(entry =>
+        Date.parse(entry.updatedAt) > sinceTime && (episodeId === undefined || entry.episodeId === episodeId)
+      )
+    );
+
+    const until = changed.reduce(
+      (latest, evolution) => (!latest || evolution.updatedAt > latest ? evolution.updatedAt : latest),
+      since ?? null
+    );
+
+    return {
+      since: since ?? null,
+      until,
+      tokenIds: changed.map(evolution => evolution.tokenId)
+    };
+  }
+}
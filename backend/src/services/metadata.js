@@ -0,0 +1,151 @@
+// src/services/metadata.js
+// Serves token metadata produced by scripts/src/generate-metadata.cjs
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { collection } from '../collection.js';
+
+const DEFAULT_METADATA_DIR = fileURLToPath(new URL('../../../scripts/metadata', import.meta.url));
+
+/**
+ * Reads the generator's output (metadata/json) so the API serves exactly
+ * the traits the team generated, with image URIs pointed at the pinned artwork.
+ */
+export class MetadataService {
+  constructor(options = {}) {
+    this.metadataDir = options.metadataDir || process.env.METADATA_DIR || DEFAULT_METADATA_DIR;
+    this.imageBaseUri = options.imageBaseUri || process.env.IPFS_IMAGE_BASE_URI || null;
+    this.totalSupply = options.totalSupply || parseInt(process.env.TOTAL_SUPPLY || String(collection.supply.totalSupply));
+
+    this.collection = null;
+    this.imageUris = null;
+    this.contractMetadata = null;
+    this.loading = null;
+  }
+
+  /**
+   * Get metadata for a token, or null when the token is unknown
+   */
+  async getTokenMetadata(tokenId) {
+    if (!Number.isInteger(tokenId) || tokenId < 1 || tokenId > this.totalSupply) {
+      return null;
+    }
+
+    await this.load();
+
+    const generated = this.collection
+      ? this.collection.get(tokenId)
+      : await this.readTokenFile(tokenId);
+
+    if (!generated) {
+      return null;
+    }
+
+    const metadata = structuredClone(generated);
+    const image = this.resolveImageUri(metadata.properties?.artwork_id ?? tokenId, metadata.image);
+
+    metadata.image = image;
+    if (metadata.properties?.files?.length) {
+      metadata.properties.files[0].uri = image;
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Contract-level metadata (metadata/contract.json, the contractURI document
+   * with royalty settings), or null until the generator has written it
+   */
+  async getContractMetadata() {
+    if (!this.contractMetadata) {
+      this.contractMetadata = await this.readJson('contract.json');
+    }
+    return this.contractMetadata;
+  }
+
+  /**
+   * Load the collection and upload records once; call reload() after regenerating
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = Promise.all([this.loadCollection(), this.loadImageUris()]).catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async reload() {
+    this.collection = null;
+    this.imageUris = null;
+    this.contractMetadata = null;
+    this.loading = null;
+    await this.load();
+  }
+
+  async loadCollection() {
+    const collection = await this.readJson(path.join('json', '_collection.json'));
+
+    if (!collection) {
+      // Fall back to the per-token files, which must at least exist
+      try {
+        await fs.access(path.join(this.metadataDir, 'json'));
+      } catch {
+        throw new Error(`No generated metadata found in ${this.metadataDir}`);
+      }
+      return;
+    }
+
+    // The generator writes tokens in order, starting at #1
+    this.collection = new Map(collection.map((metadata, index) => [index + 1, metadata]));
+  }
+
+  async loadImageUris() {
+    if (this.imageBaseUri) {
+      return;
+    }
+
+    const ipfsUploads = await this.readJson('ipfs-uploads.json');
+    if (ipfsUploads?.imageBaseUri) {
+      this.imageBaseUri = ipfsUploads.imageBaseUri;
+      return;
+    }
+
+    const imageUploads = await this.readJson('image-uploads.json');
+    if (Array.isArray(imageUploads)) {
+      // Keyed by artwork; older upload records only have tokenId (the same number before any shift)
+      this.imageUris = new Map(imageUploads.map(upload => [upload.artworkId ?? upload.tokenId, upload.uri]));
+    }
+  }
+
+  /**
+   * Prefer configured or recorded upload locations over the URI baked in at generation time
+   */
+  resolveImageUri(artworkId, generatedImage) {
+    const fileName = path.posix.basename(generatedImage || '') || `${artworkId}.png`;
+
+    if (this.imageBaseUri) {
+      return `${this.imageBaseUri.replace(/\/+$/, '')}/${fileName}`;
+    }
+
+    return this.imageUris?.get(artworkId) || generatedImage;
+  }
+
+  async readTokenFile(tokenId) {
+    return this.readJson(path.join('json', `${tokenId}.json`));
+  }
+
+  async readJson(relativePath) {
+    try {
+      const data = await fs.readFile(path.join(this.metadataDir, relativePath), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
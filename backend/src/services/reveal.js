@@ -0,0 +1,99 @@
+// src/services/reveal.js
+// Pre-reveal gating for token metadata
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { collection } from '../collection.js';
+import { ApiError } from '../errors.js';
+
+const DEFAULT_STATE_PATH = fileURLToPath(new URL('../../data/reveal-state.json', import.meta.url));
+
+const CLANS = collection.clans.map(clan => clan.name);
+const WARRIORS_PER_CLAN = collection.supply.warriorsPerClan;
+
+/**
+ * Tracks which clans have been revealed. A token's real metadata is only
+ * served once its clan is revealed and the chain reports it as minted.
+ */
+export class RevealService {
+  constructor(chainService, options = {}) {
+    this.chain = chainService;
+    this.statePath = options.statePath || process.env.REVEAL_STATE_PATH || DEFAULT_STATE_PATH;
+    this.placeholderImage =
+      options.placeholderImage ||
+      process.env.UNREVEALED_IMAGE_URI ||
+      'https://bushido.art/unrevealed.png';
+    this.state = null;
+  }
+
+  clanOf(tokenId) {
+    return CLANS[Math.floor((tokenId - 1) / WARRIORS_PER_CLAN)];
+  }
+
+  async isRevealed(tokenId) {
+    const state = await this.getState();
+
+    if (!state.all && !state.clans.includes(this.clanOf(tokenId))) {
+      return false;
+    }
+
+    return this.chain.isMinted(tokenId);
+  }
+
+  /**
+   * Reveal the given clans, or the whole collection when clans is 'all'
+   */
+  async reveal(clans) {
+    const state = await this.getState();
+
+    if (clans === 'all') {
+      state.all = true;
+    } else {
+      const unknown = clans.filter(clan => !CLANS.includes(clan));
+      if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown clan: ${unknown.join(', ')}`);
+      }
+      state.clans = [...new Set([...state.clans, ...clans])];
+    }
+
+    state.updatedAt = new Date().toISOString();
+    await this.saveState(state);
+    return state;
+  }
+
+  placeholderMetadata(tokenId) {
+    return {
+      name: `Bushido Warrior #${tokenId}`,
+      description: 'An unrevealed warrior. Their clan, rarity and traits will be revealed soon.',
+      image: this.placeholderImage,
+      external_url: `https://bushido.art/warrior/${tokenId}`,
+      attributes: [
+        {
+          trait_type: 'Status',
+          value: 'Unrevealed'
+        }
+      ]
+    };
+  }
+
+  async getState() {
+    if (!this.state) {
+      try {
+        this.state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        this.state = { all: false, clans: [], updatedAt: null };
+      }
+    }
+    return this.state;
+  }
+
+  async saveState(state) {
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    await fs.writeFile(this.statePath, JSON.stringify(state, null, 2));
+    this.state = state;
+  }
+}
@@ -0,0 +1,143 @@
+// src/services/tallyStream.js
+// Server-Sent Events feed of live vote tallies per episode
+
+import { hasVotingEnded } from './episodes.js';
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Each subscriber gets a 'snapshot' on connect, a 'delta' for every accepted
+ * ballot and a final 'closed' event when voting ends, after which the
+ * stream is closed.
+ */
+export class TallyStream {
+  constructor({ episodeService, voteService }) {
+    this.episodes = episodeService;
+    this.votes = voteService;
+    this.clients = new Map();
+    this.deadlineTimers = new Map();
+
+    this.votes.on('votes', delta => this.broadcast(delta.episodeId, 'delta', delta));
+    this.episodes.on('updated', episode => this.scheduleClose(episode));
+    this.episodes.on('closed', episode => this.finish(episode.id));
+
+    this.heartbeat = setInterval(() => this.ping(), HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  async subscribe(episodeId, req, res) {
+    // Resolve before writing headers so unknown episodes still get a JSON 404
+    const episode = await this.episodes.get(episodeId);
+    const results = await this.votes.getResults(episode.id);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    this.send(res, 'snapshot', {
+      ...results,
+      votingOpen: episode.votingOpen,
+      votingDeadline: episode.votingDeadline
+    });
+
+    if (this.hasEnded(episode)) {
+      this.send(res, 'closed', results);
+      return res.end();
+    }
+
+    if (!this.clients.has(episode.id)) {
+      this.clients.set(episode.id, new Set());
+    }
+    this.clients.get(episode.id).add(res);
+    this.scheduleClose(episode);
+
+    req.on('close', () => this.unsubscribe(episode.id, res));
+  }
+
+  unsubscribe(episodeId, res) {
+    const clients = this.clients.get(episodeId);
+    if (!clients) {
+      return;
+    }
+
+    clients.delete(res);
+    if (clients.size === 0) {
+      this.clients.delete(episodeId);
+      clearTimeout(this.deadlineTimers.get(episodeId));
+      this.deadlineTimers.delete(episodeId);
+    }
+  }
+
+  /**
+   * Fire 'closed' when the voting deadline passes; re-armed whenever the episode changes
+   */
+  scheduleClose(episode) {
+    if (!this.clients.has(episode.id)) {
+      return;
+    }
+
+    clearTimeout(this.deadlineTimers.get(episode.id));
+    this.deadlineTimers.delete(episode.id);
+
+    if (this.hasEnded(episode)) {
+      return this.finish(episode.id);
+    }
+    if (!episode.votingDeadline) {
+      return;
+    }
+
+    const delay = Math.min(new Date(episode.votingDeadline) - Date.now(), MAX_TIMEOUT_MS);
+    const timer = setTimeout(async () => {
+      try {
+        this.scheduleClose(await this.episodes.get(episode.id, { includeDrafts: true }));
+      } catch (error) {
+        console.error(`Failed to close tally stream for episode ${episode.id}:`, error);
+      }
+    }, delay);
+
+    this.deadlineTimers.set(episode.id, timer);
+  }
+
+  async finish(episodeId) {
+    const clients = this.clients.get(episodeId);
+    if (!clients) {
+      return;
+    }
+
+    const results = await this.votes.getResults(episodeId).catch(() => null);
+    for (const res of clients) {
+      this.send(res, 'closed', results);
+      res.end();
+    }
+
+    this.clients.delete(episodeId);
+    clearTimeout(this.deadlineTimers.get(episodeId));
+    this.deadlineTimers.delete(episodeId);
+  }
+
+  broadcast(episodeId, event, data) {
+    for (const res of this.clients.get(episodeId) || []) {
+      this.send(res, event, data);
+    }
+  }
+
+  ping() {
+    for (const clients of this.clients.values()) {
+      for (const res of clients) {
+        res.write(': ping\n\n');
+      }
+    }
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  hasEnded(episode) {
+    return hasVotingEnded(episode);
+  }
+}
@@ -0,0 +1,152 @@
+// src/services/votes.js
+// Off-chain episode voting weighted by on-chain rarity
+
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import { ApiError } from '../errors.js';
+import { collection } from '../collection.js';
+import { recoverBallotSigner } from './ballot.js';
+import { isVotingOpen } from './episodes.js';
+
+// Indexed by on-chain rarity tier; must mirror contracts/libraries/VotingPower.sol
+const VOTING_POWER = collection.rarities.map(rarity => rarity.votingPower);
+
+const MAX_TOKENS_PER_BALLOT = 100;
+
+/**
+ * Emits 'votes' with { episodeId, optionId, tokenIds, votingPower, timestamp }
+ * for every accepted ballot
+ */
+export class VoteService extends EventEmitter {
+  constructor(store, chainService) {
+    super();
+    this.store = store;
+    this.chain = chainService;
+  }
+
+  /**
+   * Current tallies for every option of an episode
+   */
+  async getResults(episodeId) {
+    const episode = await this.requireEpisode(episodeId);
+    const tallies = await this.store.getTallies(episode.id);
+
+    const options = [...episode.options]
+      .sort((a, b) => a.order - b.order)
+      .map(option => ({
+        id: option.id,
+        optionText: option.optionText,
+        description: option.description,
+        votes: tallies[option.id]?.votingPower || 0,
+        tokens: tallies[option.id]?.tokens || 0
+      }));
+
+    return {
+      episodeId: episode.id,
+      options,
+      totalVotes: options.reduce((sum, option) => sum + option.votes, 0),
+      totalTokens: options.reduce((sum, option) => sum + option.tokens, 0)
+    };
+  }
+
+  /**
+   * Verify a signed ballot and record one vote per token
+   */
+  async castVote(episodeId, { voter, optionId, tokenIds, signature } = {}) {
+    const episode = await this.requireEpisode(episodeId);
+
+    this.requireVotingOpen(episode);
+    if (!ethers.isAddress(voter)) {
+      throw new ApiError(400, 'Invalid voter address');
+    }
+    if (!episode.options.some(option => option.id === optionId)) {
+      throw new ApiError(400, 'Unknown vote option');
+    }
+    if (
+      !Array.isArray(tokenIds) ||
+      tokenIds.length === 0 ||
+      tokenIds.length > MAX_TOKENS_PER_BALLOT ||
+      !tokenIds.every(tokenId => Number.isInteger(tokenId) && tokenId > 0)
+    ) {
+      throw new ApiError(400, `tokenIds must list 1-${MAX_TOKENS_PER_BALLOT} token IDs`);
+    }
+    if (new Set(tokenIds).size !== tokenIds.length) {
+      throw new ApiError(400, 'tokenIds contains duplicates');
+    }
+
+    const signer = recoverBallotSigner({ voter, episodeId: episode.id, optionId, tokenIds }, signature);
+    if (!signer || signer !== ethers.getAddress(voter)) {
+      throw new ApiError(401, 'Invalid ballot signature');
+    }
+
+    if (!this.chain.isConfigured()) {
+      throw new ApiError(503, 'Voting is unavailable: chain access is not configured');
+    }
+
+    const votes = await Promise.all(
+      tokenIds.map(tokenId => this.buildVote(episode.id, tokenId, optionId, signer))
+    );
+
+    // The window may have closed while ownership and rarity were being read
+    this.requireVotingOpen(await this.requireEpisode(episode.id));
+
+    const alreadyVoted = await this.store.recordVotes(episode.id, votes);
+    if (alreadyVoted.length > 0) {
+      throw new ApiError(409, 'Tokens have already voted in this episode', { tokenIds: alreadyVoted });
+    }
+
+    const votingPower = votes.reduce((sum, vote) => sum + vote.votingPower, 0);
+
+    this.emit('votes', {
+      episodeId: episode.id,
+      optionId,
+      tokenIds,
+      votingPower,
+      timestamp: votes[0].timestamp
+    });
+
+    return {
+      success: true,
+      tokenIds,
+      votingPower,
+      results: await this.getResults(episode.id)
+    };
+  }
+
+  async buildVote(episodeId, tokenId, optionId, voter) {
+    const owner = await this.chain.ownerOf(tokenId);
+    if (!owner || owner !== voter) {
+      throw new ApiError(403, `Token ${tokenId} is not owned by the voter`, { tokenId });
+    }
+
+    const rarity = await this.chain.tokenRarity(tokenId);
+
+    return {
+      episodeId,
+      tokenId,
+      optionId,
+      voter,
+      votingPower: VOTING_POWER[rarity] || 1,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  requireVotingOpen(episode) {
+    if (!isVotingOpen(episode)) {
+      throw new ApiError(403, 'Voting is not open for this episode', {
+        releaseDate: episode.releaseDate,
+        votingDeadline: episode.votingDeadline,
+        closedAt: episode.closedAt
+      });
+    }
+  }
+
+  async requireEpisode(episodeId) {
+    const episode = Number.isInteger(episodeId) ? await this.store.getEpisode(episodeId) : null;
+
+    if (!episode || !episode.published) {
+      throw new ApiError(404, 'Episode not found');
+    }
+    return episode;
+  }
+}
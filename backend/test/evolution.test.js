@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadStoreState, MemoryStore, mergeEpisodes } from '../src/db/memoryStore.js';
+import { ApiError } from '../src/errors.js';
+import { EpisodeService } from '../src/services/episodes.js';
+import { EvolutionService } from '../src/services/evolution.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function endedEpisode(overrides = {}) {
+  return {
+    id: 1,
+    title: 'The Gathering Storm',
+    videoUrl: 'https://example.com/episodes/1.mp4',
+    published: true,
+    releaseDate: new Date(Date.now() - 2 * HOUR).toISOString(),
+    votingDeadline: new Date(Date.now() - HOUR).toISOString(),
+    closedAt: null,
+    finalizedAt: null,
+    keyVote: true,
+    rewards: { winners: { badge: 'Storm Rider' } },
+    options: [
+      { id: 1, optionText: 'Defend the pass', order: 0 },
+      { id: 2, optionText: 'Strike at dawn', order: 1 }
+    ],
+    ...overrides
+  };
+}
+
+function vote(tokenId, optionId, votingPower) {
+  return { episodeId: 1, tokenId, optionId, voter: '0x0', votingPower, timestamp: new Date().toISOString() };
+}
+
+async function expectApiError(promise, status) {
+  const error = await promise.catch(rejection => rejection);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error.status).toBe(status);
+  return error;
+}
+
+describe('EpisodeService.update', () => {
+  test('edits a published episode while voting is open', async () => {
+    const episodes = new EpisodeService(new MemoryStore({
+      episodes: [endedEpisode({ votingDeadline: new Date(Date.now() + HOUR).toISOString() })]
+    }));
+
+    const episode = await episodes.update(1, { title: 'Before the Storm' });
+
+    expect(episode.title).toBe('Before the Storm');
+  });
+
+  test('rejects edits once the deadline has passed', async () => {
+    const episodes = new EpisodeService(new MemoryStore({ episodes: [endedEpisode()] }));
+
+    await expectApiError(episodes.update(1, { title: 'Rewritten' }), 409);
+  });
+
+  test('rejects edits to a finalized episode', async () => {
+    const episodes = new EpisodeService(new MemoryStore({
+      episodes: [endedEpisode({ finalizedAt: new Date().toISOString() })]
+    }));
+
+    await expectApiError(episodes.update(1, { title: 'Rewritten' }), 409);
+  });
+});
+
+describe('MemoryStore persistence', () => {
+  let dir;
+  let statePath;
+  const services = [];
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'store-'));
+    statePath = path.join(dir, 'store-state.json');
+  });
+
+  afterEach(async () => {
+    services.splice(0).forEach(service => clearInterval(service.sweep));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // What index.js does on startup
+  async function start(seed) {
+    const state = await loadStoreState(statePath);
+    const store = new MemoryStore({ ...state, episodes: mergeEpisodes(seed, state.episodes), statePath });
+    const episodes = new EpisodeService(store);
+    const evolution = new EvolutionService({ store, episodeService: episodes });
+    services.push(evolution);
+    return { store, episodes, evolution };
+  }
+
+  // Create an episode through the admin flow, then let its voting window pass
+  async function runEpisode({ store, episodes, evolution }, votes) {
+    const { id } = await episodes.create({
+      title: 'Night Raid',
+      videoUrl: 'https://example.com/episodes/raid.mp4',
+      releaseDate: new Date(Date.now() - 2 * HOUR).toISOString(),
+      options: [{ optionText: 'Go' }, { optionText: 'Stay' }]
+    });
+    const created = await store.getEpisode(id);
+    await store.saveEpisode({ ...created, published: true, votingDeadline: new Date(Date.now() - HOUR).toISOString() });
+    await store.recordVotes(id, votes.map(entry => ({ ...entry, episodeId: id })));
+    await evolution.finalize(id);
+    return id;
+  }
+
+  test('starts empty before anything was saved', async () => {
+    expect(await loadStoreState(statePath)).toEqual({ episodes: [], votes: [], evolutions: [] });
+  });
+
+  test('does not reuse episode ids or drop participation after a restart', async () => {
+    const seed = [endedEpisode()];
+
+    const before = await start(seed);
+    await before.store.recordVotes(1, [vote(7, 1, 25)]);
+    await before.evolution.finalize(1);
+    const firstId = await runEpisode(before, [vote(7, 1, 25)]);
+
+    const after = await start(seed);
+    const secondId = await runEpisode(after, [vote(7, 2, 25)]);
+
+    expect(secondId).toBe(firstId + 1);
+    const history = await after.evolution.getHistory(7);
+    expect(history.version).toBe(3);
+    expect(history.history.map(entry => entry.episodeId)).toEqual([1, firstId, secondId]);
+  });
+
+  test('keeps votes and finalizations so ended episodes are not finalized again', async () => {
+    const seed = [endedEpisode()];
+
+    const before = await start(seed);
+    await before.store.recordVotes(1, [vote(7, 1, 25), vote(8, 2, 1)]);
+    const { finalizedAt } = await before.evolution.finalize(1);
+
+    const after = await start(seed);
+    await after.evolution.finalizeEnded();
+
+    expect(await after.store.getVotes(1)).toHaveLength(2);
+    expect((await after.store.getEpisode(1)).finalizedAt).toBe(finalizedAt);
+    expect((await after.evolution.getHistory(7)).history[0].changes).toContainEqual({ trait_type: 'Badge', value: 'Storm Rider' });
+    await expectApiError(after.evolution.finalize(1), 409);
+  });
+});
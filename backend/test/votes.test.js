@@ -0,0 +1,149 @@
+import { ethers } from 'ethers';
+import { MemoryStore } from '../src/db/memoryStore.js';
+import { ApiError } from '../src/errors.js';
+import { BALLOT_TYPES, getBallotDomain } from '../src/services/ballot.js';
+import { VoteService } from '../src/services/votes.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Rarity tiers as the contract reports them: 0 = Common ... 4 = Legendary
+const COMMON = 0;
+const RARE = 2;
+const LEGENDARY = 4;
+
+function openEpisode(overrides = {}) {
+  return {
+    id: 1,
+    title: 'The Gathering Storm',
+    published: true,
+    releaseDate: new Date(Date.now() - HOUR).toISOString(),
+    votingDeadline: new Date(Date.now() + HOUR).toISOString(),
+    closedAt: null,
+    options: [
+      { id: 1, optionText: 'Defend the pass', order: 0 },
+      { id: 2, optionText: 'Strike at dawn', order: 1 }
+    ],
+    ...overrides
+  };
+}
+
+/**
+ * Chain stand-in: tokens are { [tokenId]: { owner, rarity } }
+ */
+function stubChain(tokens) {
+  return {
+    isConfigured: () => true,
+    ownerOf: async tokenId => tokens[tokenId]?.owner ?? null,
+    tokenRarity: async tokenId => tokens[tokenId].rarity
+  };
+}
+
+async function signBallot(wallet, ballot) {
+  const signature = await wallet.signTypedData(getBallotDomain(), BALLOT_TYPES, ballot);
+  return { ...ballot, signature };
+}
+
+async function expectApiError(promise, status) {
+  const error = await promise.catch(rejection => rejection);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error.status).toBe(status);
+  return error;
+}
+
+describe('VoteService', () => {
+  const alice = ethers.Wallet.createRandom();
+  const bob = ethers.Wallet.createRandom();
+
+  let store;
+  let votes;
+
+  beforeEach(() => {
+    store = new MemoryStore({ episodes: [openEpisode()] });
+    votes = new VoteService(store, stubChain({
+      1: { owner: alice.address, rarity: COMMON },
+      2: { owner: alice.address, rarity: LEGENDARY },
+      3: { owner: bob.address, rarity: RARE }
+    }));
+  });
+
+  test('records a valid EIP-712 ballot', async () => {
+    const ballot = await signBallot(alice, { voter: alice.address, episodeId: 1, optionId: 1, tokenIds: [1, 2] });
+
+    const result = await votes.castVote(1, ballot);
+
+    expect(result.success).toBe(true);
+    expect(result.tokenIds).toEqual([1, 2]);
+    expect(await store.getVotes(1)).toHaveLength(2);
+  });
+
+  test('rejects a ballot signed by someone other than the voter', async () => {
+    const ballot = await signBallot(bob, { voter: alice.address, episodeId: 1, optionId: 1, tokenIds: [1] });
+
+    await expectApiError(votes.castVote(1, ballot), 401);
+    expect(await store.getVotes(1)).toHaveLength(0);
+  });
+
+  test('rejects tokens the voter does not own', async () => {
+    const ballot = await signBallot(alice, { voter: alice.address, episodeId: 1, optionId: 1, tokenIds: [1, 3] });
+
+    const error = await expectApiError(votes.castVote(1, ballot), 403);
+    expect(error.details).toEqual({ tokenId: 3 });
+    expect(await store.getVotes(1)).toHaveLength(0);
+  });
+
+  test('rejects a second vote from the same token', async () => {
+    await votes.castVote(1, await signBallot(alice, { voter: alice.address, episodeId: 1, optionId: 1, tokenIds: [1] }));
+    const again = await signBallot(alice, { voter: alice.address, episodeId: 1, optionId: 2, tokenIds: [1, 2] });
+
+    const error = await expectApiError(votes.castVote(1, again), 409);
+    expect(error.details).toEqual({ tokenIds: [1] });
+    expect(await store.getVotes(1)).toHaveLength(1);
+  });
+
+  test('rejects an unknown option', async () => {
+    const ballot = await signBallot(alice, { voter: alice.address, episodeId: 1, optionId: 3, tokenIds: [1] });
+
+    await expectApiError(votes.castVote(1, ballot), 400);
+  });
+
+  test('tallies votes by rarity voting power', async () => {
+    await votes.castVote(1, await signBallot(alice, { voter: alice.address, episodeId: 1, optionId: 1, tokenIds: [1, 2] }));
+    await votes.castVote(1, await signBallot(bob, { voter: bob.address, episodeId: 1, optionId: 2, tokenIds: [3] }));
+
+    const results = await votes.getResults(1);
+
+    expect(results.options.map(option => [option.id, option.votes, option.tokens])).toEqual([
+      [1, 1 + 25, 2],
+      [2, 9, 1]
+    ]);
+    expect(results.totalVotes).toBe(35);
+    expect(results.totalTokens).toBe(3);
+  });
+
+  test('rejects ballots once the deadline has passed', async () => {
+    store = new MemoryStore({
+      episodes: [openEpisode({
+        releaseDate: new Date(Date.now() - 2 * HOUR).toISOString(),
+        votingDeadline: new Date(Date.now() - HOUR).toISOString()
+      })]
+    });
+    votes = new VoteService(store, stubChain({ 1: { owner: alice.address, rarity: COMMON } }));
+    const ballot = await signBallot(alice, { voter: alice.address, episodeId: 1, optionId: 1, tokenIds: [1] });
+
+    await expectApiError(votes.castVote(1, ballot), 403);
+  });
+
+  test('rejects ballots when the episode closes while ownership is being checked', async () => {
+    const chain = stubChain({ 1: { owner: alice.address, rarity: COMMON } });
+    const ownerOf = chain.ownerOf;
+    chain.ownerOf = async tokenId => {
+      await store.saveEpisode(openEpisode({ closedAt: new Date().toISOString() }));
+      return ownerOf(tokenId);
+    };
+    votes = new VoteService(store, chain);
+    const ballot = await signBallot(alice, { voter: alice.address, episodeId: 1, optionId: 1, tokenIds: [1] });
+
+    await expectApiError(votes.castVote(1, ballot), 403);
+    expect(await store.getVotes(1)).toHaveLength(0);
+  });
+});
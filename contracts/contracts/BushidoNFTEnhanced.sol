@@ -26,6 +26,7 @@ contract BushidoNFT is ERC721Enumerable, Ownable, ReentrancyGuard, IBushidoNFT {
     MintPhase public currentPhase = MintPhase.CLOSED;
     
     bytes32 public merkleRoot;
+    uint256 public whitelistPhaseId;
     mapping(address => uint256) public whitelistMinted;
     uint256 public constant MAX_WHITELIST_MINT = 2;
     
@@ -42,6 +43,7 @@ contract BushidoNFT is ERC721Enumerable, Ownable, ReentrancyGuard, IBushidoNFT {
     
     event PhaseChanged(MintPhase newPhase);
     event MerkleRootUpdated(bytes32 newRoot);
+    event WhitelistPhaseUpdated(uint256 phaseId);
     event TokenMinted(address indexed to, uint256 tokenId, uint256 clan, uint256 rarity);
     event VoteCast(uint256 indexed episodeId, uint256 indexed tokenId, string choice, uint256 votingPower);
     event EpisodeCreated(uint256 indexed episodeId);
@@ -59,18 +61,25 @@ contract BushidoNFT is ERC721Enumerable, Ownable, ReentrancyGuard, IBushidoNFT {
         emit MerkleRootUpdated(_merkleRoot);
     }
     
-    function whitelistMint(uint256 quantity, bytes32[] calldata merkleProof) 
+    function setWhitelistPhase(uint256 _phaseId) external onlyOwner {
+        whitelistPhaseId = _phaseId;
+        emit WhitelistPhaseUpdated(_phaseId);
+    }
+    
+    function whitelistMint(uint256 quantity, uint256 allocation, bytes32[] calldata merkleProof) 
         external 
         payable 
         nonReentrant 
     {
         require(currentPhase == MintPhase.WHITELIST, "Whitelist mint not active");
-        require(quantity > 0 && quantity <= MAX_WHITELIST_MINT, "Invalid quantity");
-        require(whitelistMinted[msg.sender] + quantity <= MAX_WHITELIST_MINT, "Exceeds whitelist limit");
+        require(quantity > 0 && allocation <= MAX_WHITELIST_MINT, "Invalid quantity");
+        require(whitelistMinted[msg.sender] + quantity <= allocation, "Exceeds whitelist allocation");
         require(_tokenIdCounter.current() + quantity <= MAX_SUPPLY, "Exceeds supply");
         require(msg.value >= MINT_PRICE * quantity, "Insufficient payment");
         
-        bytes32 leaf = keccak256(abi.encodePacked(msg.sender));
+        bytes32 leaf = whitelistPhaseId == 0
+            ? keccak256(abi.encodePacked(msg.sender, allocation))
+            : keccak256(abi.encodePacked(msg.sender, allocation, whitelistPhaseId));
         require(MerkleProof.verify(merkleProof, merkleRoot, leaf), "Invalid proof");
         
         _mintTokens(msg.sender, quantity);
@@ -31,16 +31,16 @@ describe("BushidoNFT", function () {
     it("Should allow whitelisted addresses to mint", async function () {
       const { bushido, owner, addr1 } = await loadFixture(deployBushidoFixture);
       
-      // Create merkle tree
-      const leaves = [addr1.address].map(x => keccak256(x));
-      const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
-      const root = tree.getRoot();
-      const proof = tree.getProof(keccak256(addr1.address));
+      // Create merkle tree; leaves commit to each address's allocation
+      const leaf = ethers.solidityPackedKeccak256(["address", "uint256"], [addr1.address, 2]);
+      const tree = new MerkleTree([leaf], keccak256, { sortPairs: true });
+      const root = tree.getHexRoot();
+      const proof = tree.getHexProof(leaf);
       
       await bushido.setMerkleRoot(root);
       await bushido.setMintPhase(1); // WHITELIST
       
-      await expect(bushido.connect(addr1).whitelistMint(1, proof, {
+      await expect(bushido.connect(addr1).whitelistMint(1, 2, proof, {
         value: ethers.parseEther("0.03")
       })).to.not.be.reverted;
     });
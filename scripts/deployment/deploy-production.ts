@@ -3,6 +3,10 @@ import fs from 'fs';
 import path from 'path';
 import { verify } from './verify';
 
+// Leaf encodings BushidoNFT.whitelistMint accepts (scripts/src/whitelist-leaf.cjs)
+const LEAF_VERSION = 2;
+const PHASED_LEAF = 'keccak256(abi.encodePacked(address,uint256,uint256))';
+
 async function main() {
   console.log('🚀 Starting Bushido NFT production deployment...\n');
   
@@ -17,13 +21,26 @@ async function main() {
     throw new Error('Insufficient balance for deployment');
   }
   
-  // Load whitelist data
+  // Load whitelist data written by `pnpm whitelist export`
   const whitelistData = JSON.parse(
-    fs.readFileSync(path.join(__dirname, '../../whitelist/whitelist-export.json'), 'utf8')
+    fs.readFileSync(path.join(__dirname, '../whitelist/distribution.json'), 'utf8')
   );
+
+  if (whitelistData.leafVersion !== LEAF_VERSION) {
+    throw new Error('distribution.json was built with an old leaf encoding; regenerate the whitelist and export it again');
+  }
+  const phased = whitelistData.leafEncoding === PHASED_LEAF;
+  if (phased !== Boolean(whitelistData.phaseId)) {
+    throw new Error(
+      phased
+        ? 'Whitelist leaves commit to a mint phase but distribution.json has no phaseId; export it again'
+        : `distribution.json has phaseId ${whitelistData.phaseId} but its leaves carry no phase; regenerate it`
+    );
+  }
   
   console.log('Whitelist root:', whitelistData.root);
-  console.log('Total whitelisted:', whitelistData.totalWhitelisted, '\n');
+  console.log('Whitelist phase:', whitelistData.phaseId ?? 'none');
+  console.log('Total whitelisted:', whitelistData.totalEligible, '\n');
   
   // Deploy contract
   console.log('Deploying BushidoNFT contract...');
@@ -49,7 +66,14 @@ async function main() {
   const tx1 = await bushido.setMerkleRoot(whitelistData.root);
   await tx1.wait();
   console.log('✅ Merkle root set');
-  
+
+  // Leaves generated with --phase commit to it
+  if (phased) {
+    const txPhase = await bushido.setWhitelistPhase(whitelistData.phaseId);
+    await txPhase.wait();
+    console.log('✅ Whitelist phase set:', whitelistData.phaseId);
+  }
+
   // Set base URI (placeholder until artwork ready)
   const tx2 = await bushido.setBaseURI('ipfs://placeholder/');
   await tx2.wait();
@@ -61,6 +85,7 @@ async function main() {
     contractAddress,
     deployer: deployer.address,
     merkleRoot: whitelistData.root,
+    whitelistPhaseId: whitelistData.phaseId ?? 0,
     timestamp: new Date().toISOString(),
     blockNumber: await ethers.provider.getBlockNumber(),
   };
@@ -1,46 +1,38 @@
 const fs = require('fs').promises;
 const path = require('path');
-const pinataSDK = require('@pinata/sdk');
+const { loadCollectionConfig } = require('../src/collection-config.cjs');
+const { hashSource, loadRaritySource } = require('../src/rarity-source.cjs');
 
 class BushidoMetadataGenerator {
   constructor(config) {
+    const collection = config.collection || loadCollectionConfig(config.collectionConfig);
+    
     this.config = {
-      totalSupply: 1600,
-      clansCount: 8,
-      warriorsPerClan: 200,
+      totalSupply: collection.supply.totalSupply,
+      clansCount: collection.clans.length,
+      warriorsPerClan: collection.supply.warriorsPerClan,
       pinataApiKey: config.pinataApiKey,
       pinataSecretKey: config.pinataSecretKey,
       imageBaseUri: config.imageBaseUri || '',
       ...config
     };
     
-    this.pinata = pinataSDK(this.config.pinataApiKey, this.config.pinataSecretKey);
-    
-    this.clans = [
-      { id: 0, name: 'Dragon', virtue: 'Courage', color: '#DC2626', kanji: '龍' },
-      { id: 1, name: 'Phoenix', virtue: 'Rebirth', color: '#EA580C', kanji: '鳳' },
-      { id: 2, name: 'Tiger', virtue: 'Strength', color: '#F59E0B', kanji: '虎' },
-      { id: 3, name: 'Serpent', virtue: 'Wisdom', color: '#10B981', kanji: '蛇' },
-      { id: 4, name: 'Eagle', virtue: 'Vision', color: '#3B82F6', kanji: '鷲' },
-      { id: 5, name: 'Wolf', virtue: 'Loyalty', color: '#6366F1', kanji: '狼' },
-      { id: 6, name: 'Bear', virtue: 'Protection', color: '#8B5CF6', kanji: '熊' },
-      { id: 7, name: 'Lion', virtue: 'Leadership', color: '#EC4899', kanji: '獅' }
-    ];
+    this.clans = collection.clans.map(({ traits, ...clan }) => clan);
+    this.rarities = collection.rarities;
     
-    this.rarities = [
-      { name: 'Common', weight: 50, votingPower: 1 },
-      { name: 'Uncommon', weight: 25, votingPower: 4 },
-      { name: 'Rare', weight: 15, votingPower: 9 },
-      { name: 'Epic', weight: 7.5, votingPower: 16 },
-      { name: 'Legendary', weight: 2.5, votingPower: 25 }
-    ];
+    this.raritySource = this.config.raritySource || hashSource(this.rarities);
+  }
+  
+  async useRaritySource(options) {
+    this.raritySource = await loadRaritySource({ ...options, rarities: this.rarities });
+    return this.raritySource;
   }
   
   generateTokenMetadata(tokenId) {
     const clanIndex = Math.floor((tokenId - 1) / this.config.warriorsPerClan);
     const clan = this.clans[clanIndex];
     const warriorNumber = ((tokenId - 1) % this.config.warriorsPerClan) + 1;
-    const rarity = this.determineRarity(tokenId);
+    const { rarity, provisional } = this.determineRarity(tokenId, clanIndex);
     
     const metadata = {
       name: `Bushido Warrior #${tokenId}`,
@@ -53,25 +45,31 @@ class BushidoMetadataGenerator {
         { trait_type: 'Rarity', value: rarity.name },
         { trait_type: 'Warrior Number', value: warriorNumber, display_type: 'number' },
         { trait_type: 'Voting Power', value: rarity.votingPower, display_type: 'number' }
-      ]
+      ],
+      properties: {
+        rarity: {
+          tier: rarity.name,
+          source: provisional ? 'hash' : this.raritySource.name,
+          ...(provisional && { provisional: true })
+        }
+      }
     };
     
     return metadata;
   }
   
-  determineRarity(tokenId) {
-    const hash = require('crypto').createHash('sha256').update(tokenId.toString()).digest('hex');
-    const rand = (parseInt(hash.substr(0, 8), 16) % 1000) / 10;
-    
-    let cumulativeWeight = 0;
-    for (const rarity of this.rarities) {
-      cumulativeWeight += rarity.weight;
-      if (rand <= cumulativeWeight) {
-        return rarity;
-      }
+  // Unminted tokens fall back to the hash roll until the source knows them
+  determineRarity(tokenId, clanIndex) {
+    const sourceClan = this.raritySource.clanOf?.(tokenId);
+    if (sourceClan != null && sourceClan !== clanIndex) {
+      throw new Error(`Token ${tokenId} is clan ${sourceClan} on-chain but clan ${clanIndex} here`);
     }
     
-    return this.rarities[0];
+    const tier = this.raritySource.rarityOf(tokenId);
+    if (tier === null) {
+      return { rarity: this.rarities[hashSource(this.rarities).rarityOf(tokenId)], provisional: true };
+    }
+    return { rarity: this.rarities[tier], provisional: false };
   }
   
   async generateAllMetadata() {
@@ -0,0 +1,159 @@
+// collection-config.cjs
+// Loader for config/collection.json, the one definition of clans, rarities, traits,
+// supply and whitelist tiers shared by the generators, the whitelist tools and the backend
+// (.cjs so the ESM backend can load it with createRequire as well)
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_COLLECTION_CONFIG = path.join(__dirname, '..', '..', 'config', 'collection.json');
+
+/**
+ * Read and validate a collection definition
+ * @param {string} [filePath] - defaults to COLLECTION_CONFIG, then config/collection.json
+ * @throws listing every problem found, so a broken config is fixed in one pass
+ */
+function loadCollectionConfig(filePath = process.env.COLLECTION_CONFIG || DEFAULT_COLLECTION_CONFIG) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read collection config ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateCollectionConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid collection config ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+ * @returns {string[]} problems with the definition; empty when it is usable
+ */
+function validateCollectionConfig(config) {
+  const errors = [];
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+  const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+  if (!config || typeof config !== 'object') {
+    return ['config must be a JSON object'];
+  }
+
+  // Supply
+  const { totalSupply, warriorsPerClan } = config.supply || {};
+  if (!isPositiveInteger(totalSupply)) errors.push('supply.totalSupply must be a positive integer');
+  if (!isPositiveInteger(warriorsPerClan)) errors.push('supply.warriorsPerClan must be a positive integer');
+
+  // Clans: token IDs are split into consecutive blocks, one per clan, in id order
+  const clans = Array.isArray(config.clans) ? config.clans : [];
+  if (clans.length === 0) errors.push('clans must be a non-empty array');
+  const clanNames = new Set();
+  clans.forEach((clan, index) => {
+    const label = `clans[${index}]`;
+    if (clan.id !== index) errors.push(`${label}.id must be ${index} (clans are listed in token order)`);
+    ['name', 'virtue', 'kanji'].forEach(field => {
+      if (!isNonEmptyString(clan[field])) errors.push(`${label}.${field} is required`);
+    });
+    if (!/^#[0-9a-fA-F]{6}$/.test(clan.color || '')) errors.push(`${label}.color must be a #rrggbb colour`);
+    if (clanNames.has(clan.name)) errors.push(`${label}.name "${clan.name}" is used twice`);
+    clanNames.add(clan.name);
+  });
+  if (isPositiveInteger(totalSupply) && isPositiveInteger(warriorsPerClan) && clans.length > 0
+    && clans.length * warriorsPerClan !== totalSupply) {
+    errors.push(`supply.totalSupply (${totalSupply}) must equal ${clans.length} clans x ${warriorsPerClan} warriors`);
+  }
+
+  // Rarities, in tier order (index = on-chain rarity tier)
+  const rarities = Array.isArray(config.rarities) ? config.rarities : [];
+  if (rarities.length === 0) errors.push('rarities must be a non-empty array');
+  const rarityNames = new Set();
+  rarities.forEach((rarity, index) => {
+    const label = `rarities[${index}]`;
+    if (!isNonEmptyString(rarity.name)) errors.push(`${label}.name is required`);
+    if (rarityNames.has(rarity.name)) errors.push(`${label}.name "${rarity.name}" is used twice`);
+    rarityNames.add(rarity.name);
+    if (!(typeof rarity.weight === 'number' && rarity.weight > 0)) errors.push(`${label}.weight must be a positive number`);
+    if (!isPositiveInteger(rarity.votingPower)) errors.push(`${label}.votingPower must be a positive integer`);
+    if (!isPositiveInteger(rarity.traits)) errors.push(`${label}.traits must be a positive integer`);
+  });
+  const totalWeight = rarities.reduce((sum, rarity) => sum + (Number(rarity.weight) || 0), 0);
+  if (rarities.length > 0 && Math.abs(totalWeight - 100) > 1e-9) {
+    errors.push(`rarity weights must add up to 100 (got ${totalWeight})`);
+  }
+
+  // Traits
+  const traits = config.traits || {};
+  if (!Array.isArray(traits.weights) || traits.weights.some(weight => !(typeof weight === 'number' && weight > 0))) {
+    errors.push('traits.weights must be an array of positive numbers');
+  }
+  const categories = traits.categories && typeof traits.categories === 'object' ? traits.categories : {};
+  if (Object.keys(categories).length === 0) errors.push('traits.categories must define at least one category');
+  const rarityLevels = new Set([...rarityNames].map(name => String(name).toLowerCase()));
+  Object.entries(categories).forEach(([category, levels]) => {
+    if (!Array.isArray(levels.common) || levels.common.length === 0) {
+      errors.push(`traits.categories.${category}.common must list at least one variant`);
+    }
+    Object.entries(levels).forEach(([level, variants]) => {
+      if (!rarityLevels.has(level)) {
+        errors.push(`traits.categories.${category}.${level} is not a rarity`);
+      }
+      validateVariants(variants, `traits.categories.${category}.${level}`, errors);
+    });
+  });
+  clans.forEach((clan, index) => {
+    Object.entries(clan.traits || {}).forEach(([category, variants]) => {
+      if (!categories[category]) errors.push(`clans[${index}].traits.${category} is not a trait category`);
+      validateVariants(variants, `clans[${index}].traits.${category}`, errors);
+    });
+  });
+
+  // Contract-level metadata (contractURI); the royalty receiver may instead come from ROYALTY_RECEIVER
+  const contract = config.contract || {};
+  if (!isNonEmptyString(contract.description)) errors.push('contract.description is required');
+  if (!/^https:\/\/\S+$/.test(contract.externalLink || '')) errors.push('contract.externalLink must be an https:// URL');
+  ['image', 'bannerImage'].forEach(field => {
+    if (contract[field] && !/^(ipfs|ar|https):\/\/\S+$/.test(contract[field])) {
+      errors.push(`contract.${field} must be an ipfs://, ar:// or https:// URI`);
+    }
+  });
+  const royalty = contract.royalty || {};
+  if (!(Number.isInteger(royalty.basisPoints) && royalty.basisPoints >= 0 && royalty.basisPoints <= 10000)) {
+    errors.push('contract.royalty.basisPoints must be an integer from 0 to 10000');
+  }
+  if (royalty.receiver != null && !/^0x[a-fA-F0-9]{40}$/.test(royalty.receiver)) {
+    errors.push('contract.royalty.receiver must be an address or null');
+  }
+
+  // Whitelist
+  const whitelist = config.whitelist || {};
+  if (!isPositiveInteger(whitelist.maxWhitelistMint)) errors.push('whitelist.maxWhitelistMint must be a positive integer');
+  if (!(whitelist.maxSupplyShare > 0 && whitelist.maxSupplyShare <= 1)) {
+    errors.push('whitelist.maxSupplyShare must be greater than 0 and at most 1');
+  }
+  const tiers = whitelist.tiers && typeof whitelist.tiers === 'object' ? whitelist.tiers : {};
+  if (Object.keys(tiers).length === 0) errors.push('whitelist.tiers must define at least one tier');
+  Object.entries(tiers).forEach(([key, tier]) => {
+    if (!isNonEmptyString(tier.name)) errors.push(`whitelist.tiers.${key}.name is required`);
+    if (!isPositiveInteger(tier.allocation) || tier.allocation > whitelist.maxWhitelistMint) {
+      errors.push(`whitelist.tiers.${key}.allocation must be from 1 to maxWhitelistMint`);
+    }
+  });
+
+  return errors;
+}
+
+function validateVariants(variants, label, errors) {
+  if (!Array.isArray(variants)) {
+    errors.push(`${label} must be an array`);
+    return;
+  }
+  variants.forEach((variant, index) => {
+    const valid = typeof variant === 'string'
+      ? variant.trim() !== ''
+      : variant && typeof variant.name === 'string' && typeof variant.weight === 'number' && variant.weight > 0;
+    if (!valid) errors.push(`${label}[${index}] must be a name or { name, weight }`);
+  });
+}
+
+module.exports = { DEFAULT_COLLECTION_CONFIG, loadCollectionConfig, validateCollectionConfig };
@@ -0,0 +1,37 @@
+// eth-address.cjs
+// Address helpers for the whitelist tools
+
+const keccak256 = require('keccak256');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+function isAddressFormat(address) {
+  return /^0x[a-fA-F0-9]{40}$/.test(address);
+}
+
+/**
+ * EIP-55 mixed-case checksum encoding
+ */
+function toChecksumAddress(address) {
+  const hex = address.toLowerCase().replace(/^0x/, '');
+  const hash = keccak256(hex).toString('hex');
+
+  let checksummed = '0x';
+  for (let i = 0; i < hex.length; i++) {
+    checksummed += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+  }
+  return checksummed;
+}
+
+/**
+ * All-lowercase and all-uppercase addresses carry no checksum; mixed case must match EIP-55
+ */
+function hasValidChecksum(address) {
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+    return true;
+  }
+  return toChecksumAddress(address) === address;
+}
+
+module.exports = { ZERO_ADDRESS, isAddressFormat, toChecksumAddress, hasValidChecksum };
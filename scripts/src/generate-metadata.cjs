@@ -0,0 +1,1831 @@
+// metadata-generator.js
+// Complete metadata generation system for Bushido NFT collection
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadCollectionConfig } = require('./collection-config.cjs');
+const { hashSource, loadRaritySource, checkContractThresholds } = require('./rarity-source.cjs');
+const { deriveStartingIndex, artworkIdFor, computeProvenance } = require('./provenance.cjs');
+const { readPngInfo } = require('./png-info.cjs');
+const { validateMetadata, validateContractMetadata } = require('./metadata-schema.cjs');
+const { UNIXFS_OPTIONS, UNIXFS_PROFILE, computeFileCid, computeDirectoryCidFromDisk } = require('./ipfs-cid.cjs');
+const { createStorageProvider } = require('./storage/index.cjs');
+const { PipelineManifest, PIPELINE_STEPS } = require('./pipeline-manifest.cjs');
+const { UploadJournal, contentHash, mapWithConcurrency, withRetry, describeError, parseTokenIds, formatTokenIds } = require('./upload-journal.cjs');
+
+// Give up rather than loop forever if the trait pools are too small for the supply
+const MAX_DNA_REROLLS = 100;
+
+// Attributes that follow from the clan; scoring them would count the clan three times
+const CLAN_DERIVED_TRAITS = ['Virtue', 'Clan Kanji'];
+
+/**
+ * Bushido NFT Metadata Generator
+ * Handles metadata creation and IPFS upload for the entire collection
+ */
+class BushidoMetadataGenerator {
+  constructor(config) {
+    // Clans, rarities, traits and supply come from config/collection.json
+    const collection = config.collection || loadCollectionConfig(config.collectionConfig);
+    
+    this.config = {
+      totalSupply: collection.supply.totalSupply,
+      clansCount: collection.clans.length,
+      warriorsPerClan: collection.supply.warriorsPerClan,
+      pinataApiKey: config.pinataApiKey,
+      pinataSecretKey: config.pinataSecretKey,
+      imageBaseUri: config.imageBaseUri || '',
+      includeRank: false,
+      rarityTolerance: 2.5, // max drift from target share, in percentage points
+      clanRarityTolerance: 7.5, // looser per clan: 200 tokens is a small sample
+      startingIndex: 0, // artwork shift within each clan, set once mint has closed
+      storage: 'pinata',
+      imageWidth: null, // expected artwork size; null accepts the size most images share
+      imageHeight: null,
+      maxImageBytes: 10 * 1024 * 1024,
+      uploadConcurrency: 4,
+      uploadRetries: 5,
+      royaltyReceiver: null, // overrides contract.royalty.receiver from the collection config
+      ...config
+    };
+    
+    // Storage provider, created on first upload (see getStorage)
+    this.storage = null;
+    
+    // Collection-level details for contract.json
+    this.collectionName = collection.name;
+    this.contractInfo = collection.contract;
+    
+    // Clan definitions
+    this.clans = collection.clans.map(({ traits, ...clan }) => clan);
+    
+    // Rarity definitions, in on-chain tier order
+    this.rarities = collection.rarities;
+    
+    // Trait categories with variations per rarity
+    this.traitCategories = collection.traits.categories;
+    
+    // Relative weights by position within a rarity's list (first variant is the most common).
+    // A variant may also be given as { name, weight } to override its weight.
+    this.traitWeights = collection.traits.weights;
+
+    // Where rarity tiers come from; see useRaritySource()
+    this.raritySource = this.config.raritySource || hashSource(this.rarities);
+    
+    // Clan-specific variations, mixed into every rarity's pool for that clan
+    this.clanTraits = Object.fromEntries(
+      collection.clans.map(clan => [clan.name, clan.traits || {}])
+    );
+  }
+  
+  /**
+   * Generate metadata for a single token
+   * attempt > 0 re-rolls the traits (used to resolve DNA collisions)
+   */
+  generateTokenMetadata(tokenId, { attempt = 0 } = {}) {
+    const clanIndex = Math.floor((tokenId - 1) / this.config.warriorsPerClan);
+    const clan = this.clans[clanIndex];
+    const warriorNumber = ((tokenId - 1) % this.config.warriorsPerClan) + 1;
+    const artworkId = this.artworkIdFor(tokenId);
+    const { rarity, provisional } = this.determineRarity(tokenId, clanIndex, artworkId);
+    
+    // Generate traits based on rarity, seeded by the artwork
+    const traits = this.generateTraits(rarity, clan, artworkId, attempt);
+    
+    // Base metadata structure
+    const metadata = {
+      name: `Bushido Warrior #${tokenId}`,
+      description: `A ${rarity.name.toLowerCase()} warrior of the ${clan.name} clan, embodying the virtue of ${clan.virtue.toLowerCase()}. This warrior carries the honor of ancient samurai traditions into the digital realm.`,
+      image: `${this.config.imageBaseUri}/${artworkId}.png`,
+      external_url: `https://bushido.art/warrior/${tokenId}`,
+      attributes: [
+        {
+          trait_type: 'Clan',
+          value: clan.name
+        },
+        {
+          trait_type: 'Virtue',
+          value: clan.virtue
+        },
+        {
+          trait_type: 'Rarity',
+          value: rarity.name
+        },
+        {
+          trait_type: 'Warrior Number',
+          value: warriorNumber,
+          display_type: 'number'
+        },
+        {
+          trait_type: 'Voting Power',
+          value: rarity.votingPower,
+          display_type: 'number'
+        },
+        {
+          trait_type: 'Clan Kanji',
+          value: clan.kanji
+        },
+        ...traits
+      ],
+      properties: {
+        clan: {
+          name: clan.name,
+          id: clanIndex,
+          color: clan.color
+        },
+        rarity: {
+          tier: rarity.name,
+          voting_power: rarity.votingPower,
+          source: provisional ? 'hash' : this.raritySource.name,
+          ...(provisional && { provisional: true })
+        },
+        dna: this.computeDna(clan, rarity, traits),
+        artwork_id: artworkId,
+        files: [
+          {
+            uri: `${this.config.imageBaseUri}/${artworkId}.png`,
+            type: 'image/png'
+          }
+        ],
+        category: 'image'
+      }
+    };
+    
+    return metadata;
+  }
+  
+  /**
+   * Artwork shown by a token; the identity until a starting index is set
+   */
+  artworkIdFor(tokenId) {
+    const { startingIndex, warriorsPerClan } = this.config;
+    if (!Number.isInteger(startingIndex) || startingIndex < 0 || startingIndex >= warriorsPerClan) {
+      throw new Error(`Starting index must be an integer from 0 to ${warriorsPerClan - 1}, got ${startingIndex}`);
+    }
+    return artworkIdFor(tokenId, this.config.startingIndex, this.config.warriorsPerClan);
+  }
+  
+  /**
+   * Determine rarity for a token from the configured rarity source
+   * Tokens the source cannot answer for yet (not minted) fall back to the
+   * hash roll and are marked provisional until the next sync
+   * Off-chain (per-artwork) rarity moves with the artwork when it is shifted.
+   */
+  determineRarity(tokenId, clanIndex, artworkId = tokenId) {
+    const sourceClan = this.raritySource.clanOf?.(tokenId);
+    if (sourceClan != null && sourceClan !== clanIndex) {
+      throw new Error(`Token ${tokenId} is clan ${sourceClan} on-chain but clan ${clanIndex} here`);
+    }
+
+    const tier = this.raritySource.rarityOf(this.raritySource.perArtwork ? artworkId : tokenId);
+    if (tier === null) {
+      return { rarity: this.rarities[hashSource(this.rarities).rarityOf(artworkId)], provisional: true };
+    }
+    return { rarity: this.rarities[tier], provisional: false };
+  }
+
+  /**
+   * Switch rarity source: hash (default), seed or events
+   */
+  async useRaritySource(options) {
+    this.raritySource = await loadRaritySource({ ...options, rarities: this.rarities });
+    console.log(`🎲 Rarity source: ${this.raritySource.name}`);
+    return this.raritySource;
+  }
+  
+  /**
+   * Generate traits based on rarity
+   * Each category is rolled from the artwork ID, so warriors of the same clan
+   * and rarity still differ
+   */
+  generateTraits(rarity, clan, artworkId, attempt = 0) {
+    const traits = [];
+    const rarityLevel = rarity.name.toLowerCase();
+    
+    // Select traits from each category
+    Object.keys(this.traitCategories).forEach(category => {
+      const pool = this.getTraitPool(category, rarityLevel, clan);
+      const selectedTrait = this.pickWeighted(pool, this.traitRoll(artworkId, category, attempt));
+      
+      traits.push({
+        trait_type: this.capitalizeFirst(category),
+        value: selectedTrait
+      });
+    });
+    
+    // Add bonus traits for higher rarities
+    if (rarity.traits > 5) {
+      traits.push({
+        trait_type: 'Legendary Status',
+        value: 'True'
+      });
+    }
+    
+    return traits;
+  }
+
+  /**
+   * Weighted variants for a category at a rarity, including the clan's own variants
+   */
+  getTraitPool(category, rarityLevel, clan) {
+    const options = this.traitCategories[category];
+    const base = (options[rarityLevel] || options.common).map((variant, index) =>
+      typeof variant === 'string'
+        ? { name: variant, weight: this.traitWeights[index] ?? 1 }
+        : variant
+    );
+    const clanVariants = this.clanTraits[clan.name]?.[category] || [];
+
+    return [...base, ...clanVariants];
+  }
+
+  pickWeighted(pool, roll) {
+    const totalWeight = pool.reduce((sum, variant) => sum + variant.weight, 0);
+    let target = roll * totalWeight;
+
+    for (const variant of pool) {
+      target -= variant.weight;
+      if (target < 0) {
+        return variant.name;
+      }
+    }
+    return pool[pool.length - 1].name;
+  }
+
+  /**
+   * Deterministic roll in [0, 1) per artwork, category and re-roll attempt
+   */
+  traitRoll(artworkId, category, attempt) {
+    const hash = this.sha256Hex(`${artworkId}:${category}:${attempt}`);
+    return parseInt(hash.substr(0, 8), 16) / 0x100000000;
+  }
+
+  /**
+   * Fingerprint of everything that makes a warrior look unique
+   */
+  computeDna(clan, rarity, traits) {
+    const genes = [clan.name, rarity.name, ...traits.map(t => `${t.trait_type}=${t.value}`)];
+    return this.sha256Hex(genes.join('|'));
+  }
+  
+  /**
+   * Generate all metadata files
+   * Tokens whose DNA matches an earlier token are re-rolled until unique
+   * With tokenIds, the whole collection is still rolled (DNA and ranks depend
+   * on it) but only those tokens are replaced in the collection on disk;
+   * with includeRank, tokens elsewhere whose rank moved are rewritten too.
+   * dryRun reports what would be written without touching metadata/.
+   */
+  async generateAllMetadata({ tokenIds = null, dryRun = false } = {}) {
+    console.log('🎨 Starting metadata generation for', this.config.totalSupply, 'warriors...');
+    
+    const metadataDir = path.join(process.cwd(), 'metadata', 'json');
+    
+    const allMetadata = [];
+    const dnaOwners = new Map();
+    const duplicates = [];
+    
+    for (let tokenId = 1; tokenId <= this.config.totalSupply; tokenId++) {
+      const { metadata, attempt, collidedWith } = this.generateUniqueMetadata(tokenId, dnaOwners);
+
+      if (attempt > 0) {
+        duplicates.push({ tokenId, attempts: attempt, collidedWith });
+      }
+      dnaOwners.set(metadata.properties.dna, tokenId);
+      allMetadata.push(metadata);
+    }
+
+    // A range replaces part of the existing collection and keeps everything else as it is on disk
+    let collection = allMetadata;
+    let changed = allMetadata.map((_, index) => index + 1);
+    if (tokenIds && tokenIds.length < this.config.totalSupply) {
+      collection = await this.loadCollection();
+      tokenIds.forEach(tokenId => {
+        collection[tokenId - 1] = allMetadata[tokenId - 1];
+      });
+      changed = [...tokenIds];
+    }
+
+    // Score and rank the collection before anything is written
+    const rarity = this.calculateRarityScores(collection);
+    if (this.config.includeRank) {
+      const reranked = this.applyRanks(collection, rarity);
+      changed = [...new Set([...changed, ...reranked])].sort((a, b) => a - b);
+    }
+    
+    if (dryRun) {
+      console.log(`🔎 Dry run: would write ${changed.length} token files (${formatTokenIds(changed)}), _collection.json, rarity.json, dna-report.json and contract.json`);
+      return collection;
+    }
+    
+    await fs.mkdir(metadataDir, { recursive: true });
+    for (const [index, tokenId] of changed.entries()) {
+      // Save individual metadata file
+      const filePath = path.join(metadataDir, `${tokenId}.json`);
+      await fs.writeFile(filePath, JSON.stringify(collection[tokenId - 1], null, 2));
+      
+      if ((index + 1) % 100 === 0) {
+        console.log(`✓ Generated metadata for ${index + 1}/${changed.length} warriors`);
+      }
+    }
+    
+    // Save complete metadata collection
+    const collectionPath = path.join(metadataDir, '_collection.json');
+    await fs.writeFile(collectionPath, JSON.stringify(collection, null, 2));
+
+    // Record which tokens had to be re-rolled
+    const reportPath = path.join(process.cwd(), 'metadata', 'dna-report.json');
+    await fs.writeFile(reportPath, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      totalTokens: allMetadata.length,
+      uniqueDna: dnaOwners.size,
+      rerolled: duplicates
+    }, null, 2));
+    
+    // Save rarity scores and ranks
+    const rarityPath = path.join(process.cwd(), 'metadata', 'rarity.json');
+    await fs.writeFile(rarityPath, JSON.stringify(rarity, null, 2));
+    
+    await this.generateContractMetadata();
+    
+    const pipeline = await this.loadPipeline();
+    await pipeline.record('generate', {
+      tokens: formatTokenIds(changed),
+      count: changed.length,
+      raritySource: this.raritySource.name,
+      startingIndex: this.config.startingIndex
+    });
+    
+    console.log(`🧬 ${dnaOwners.size} unique warriors (${duplicates.length} re-rolled to avoid duplicates)`);
+    console.log(`✅ Metadata generation complete! ${changed.length} token files written`);
+    return collection;
+  }
+
+  /**
+   * The generated collection as last written to metadata/json/_collection.json
+   */
+  async loadCollection() {
+    const collectionPath = path.join(process.cwd(), 'metadata', 'json', '_collection.json');
+    let collection;
+    try {
+      collection = JSON.parse(await fs.readFile(collectionPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new Error('No generated collection in metadata/json; run generate first');
+    }
+    
+    if (collection.length !== this.config.totalSupply) {
+      throw new Error(`_collection.json has ${collection.length} tokens but the supply is ${this.config.totalSupply}; run generate without --range`);
+    }
+    return collection;
+  }
+
+  /**
+   * Contract-level metadata, the JSON marketplaces read from contractURI,
+   * built from the contract section of config/collection.json
+   * Royalties are EIP-2981 style: basis points of each sale, paid to fee_recipient.
+   * Without a receiver fee_recipient is left out, which fails validation.
+   */
+  buildContractMetadata() {
+    const { description, image, bannerImage, externalLink, royalty } = this.contractInfo;
+    const receiver = this.config.royaltyReceiver || royalty.receiver;
+    
+    return {
+      name: this.collectionName,
+      description,
+      ...(image && { image }),
+      ...(bannerImage && { banner_image: bannerImage }),
+      external_link: externalLink,
+      seller_fee_basis_points: royalty.basisPoints,
+      ...(receiver && { fee_recipient: receiver })
+    };
+  }
+
+  /**
+   * Write metadata/contract.json; it is pinned with the token metadata
+   * An invalid document (usually: no royalty receiver yet) is not written, and
+   * any earlier one is removed, so token metadata can still be uploaded without it
+   */
+  async generateContractMetadata({ dryRun = false } = {}) {
+    const contract = this.buildContractMetadata();
+    const errors = validateContractMetadata(contract);
+    const contractPath = path.join(process.cwd(), 'metadata', 'contract.json');
+    
+    if (dryRun) {
+      console.log(JSON.stringify(contract, null, 2));
+    } else if (errors.length === 0) {
+      await fs.mkdir(path.dirname(contractPath), { recursive: true });
+      await fs.writeFile(contractPath, JSON.stringify(contract, null, 2));
+      console.log('📝 Contract metadata written to metadata/contract.json');
+    } else {
+      await fs.rm(contractPath, { force: true });
+    }
+    if (errors.length > 0) {
+      console.log(`⚠️  contract.json skipped: ${errors.join('; ')}`);
+      if (!contract.fee_recipient) {
+        console.log('   Set ROYALTY_RECEIVER (or contract.royalty.receiver in config/collection.json) and run the contract command');
+      }
+    }
+    
+    return { contract, errors };
+  }
+
+  async loadContractMetadata() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(process.cwd(), 'metadata', 'contract.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a token, re-rolling its traits while the DNA belongs to another token
+   */
+  generateUniqueMetadata(tokenId, dnaOwners) {
+    let attempt = 0;
+    let metadata = this.generateTokenMetadata(tokenId);
+    const collidedWith = [];
+
+    while (dnaOwners.has(metadata.properties.dna) && dnaOwners.get(metadata.properties.dna) !== tokenId) {
+      collidedWith.push(dnaOwners.get(metadata.properties.dna));
+      if (++attempt > MAX_DNA_REROLLS) {
+        throw new Error(`Could not find unique traits for token ${tokenId} after ${MAX_DNA_REROLLS} re-rolls`);
+      }
+      metadata = this.generateTokenMetadata(tokenId, { attempt });
+    }
+
+    return { metadata, attempt, collidedWith };
+  }
+
+  /**
+   * Set each token's Rank attribute; returns the token IDs whose rank changed
+   */
+  applyRanks(allMetadata, rarity) {
+    const changed = [];
+
+    allMetadata.forEach((metadata, index) => {
+      const rank = rarity.tokens[index].rank;
+      const existing = metadata.attributes.find(a => a.trait_type === 'Rank');
+
+      if (!existing) {
+        metadata.attributes.push({ trait_type: 'Rank', value: rank, display_type: 'number' });
+        changed.push(index + 1);
+      } else if (existing.value !== rank) {
+        existing.value = rank;
+        changed.push(index + 1);
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Bring generated metadata in line with the minted tokens of the current
+   * rarity source (normally the events source)
+   * Only tokens whose rarity changed or was provisional are regenerated and
+   * rewritten; with includeRank, tokens whose rank moved are rewritten too.
+   * The rewritten token IDs are recorded in metadata/rarity-sync.json.
+   */
+  async syncRarity() {
+    if (!this.raritySource.minted) {
+      throw new Error(`Rarity source "${this.raritySource.name}" has no minted tokens to sync from`);
+    }
+
+    const metadataDir = path.join(process.cwd(), 'metadata', 'json');
+    const collectionPath = path.join(metadataDir, '_collection.json');
+    const allMetadata = JSON.parse(await fs.readFile(collectionPath, 'utf8'));
+
+    const dnaOwners = new Map(allMetadata.map((metadata, index) => [metadata.properties.dna, index + 1]));
+    const regenerated = [];
+
+    for (const [tokenId, { rarity: tier }] of this.raritySource.minted) {
+      const current = allMetadata[tokenId - 1];
+      if (!current) {
+        throw new Error(`Token ${tokenId} was minted but is not in the generated collection`);
+      }
+      if (current.properties.rarity.tier === this.rarities[tier].name && !current.properties.rarity.provisional) {
+        continue;
+      }
+
+      dnaOwners.delete(current.properties.dna);
+      const { metadata } = this.generateUniqueMetadata(tokenId, dnaOwners);
+      dnaOwners.set(metadata.properties.dna, tokenId);
+
+      // Keep whatever was already resolved for the image (e.g. an IPFS URI)
+      metadata.image = current.image;
+      metadata.properties.files = current.properties.files;
+
+      const rank = current.attributes.find(a => a.trait_type === 'Rank');
+      if (rank) {
+        metadata.attributes.push({ ...rank });
+      }
+
+      allMetadata[tokenId - 1] = metadata;
+      regenerated.push({ tokenId, from: current.properties.rarity.tier, to: metadata.properties.rarity.tier });
+    }
+
+    const rarity = this.calculateRarityScores(allMetadata);
+    const reranked = this.config.includeRank ? this.applyRanks(allMetadata, rarity) : [];
+    const changed = [...new Set([...regenerated.map(r => r.tokenId), ...reranked])].sort((a, b) => a - b);
+
+    for (const tokenId of changed) {
+      const filePath = path.join(metadataDir, `${tokenId}.json`);
+      await fs.writeFile(filePath, JSON.stringify(allMetadata[tokenId - 1], null, 2));
+    }
+
+    if (changed.length > 0) {
+      await fs.writeFile(collectionPath, JSON.stringify(allMetadata, null, 2));
+      await fs.writeFile(
+        path.join(process.cwd(), 'metadata', 'rarity.json'),
+        JSON.stringify(rarity, null, 2)
+      );
+    }
+
+    const result = {
+      syncedAt: new Date().toISOString(),
+      source: this.raritySource.name,
+      minted: this.raritySource.minted.size,
+      regenerated,
+      changed
+    };
+    await fs.writeFile(
+      path.join(process.cwd(), 'metadata', 'rarity-sync.json'),
+      JSON.stringify(result, null, 2)
+    );
+
+    console.log(`🔄 ${regenerated.length} of ${result.minted} minted tokens regenerated, ${changed.length} files rewritten`);
+    return result;
+  }
+
+  /**
+   * Trait-rarity scores for the whole collection
+   *   score: sum of 1 / trait frequency (rarity.tools style), higher is rarer
+   *   statisticalRarity: product of trait frequencies, lower is rarer
+   * Numeric traits and the clan-derived Virtue and Clan Kanji are ignored; a
+   * token missing a trait counts as having "None". Rank 1 is the rarest warrior.
+   */
+  calculateRarityScores(allMetadata) {
+    const total = allMetadata.length;
+    const scoredTraits = metadata => metadata.attributes.filter(
+      attribute => attribute.display_type !== 'number' &&
+        attribute.trait_type !== 'Rank' &&
+        !CLAN_DERIVED_TRAITS.includes(attribute.trait_type)
+    );
+
+    // Count each trait value, then fill in "None" for tokens lacking a trait type
+    const traitCounts = {};
+    allMetadata.forEach(metadata => {
+      scoredTraits(metadata).forEach(({ trait_type: type, value }) => {
+        traitCounts[type] = traitCounts[type] || {};
+        traitCounts[type][value] = (traitCounts[type][value] || 0) + 1;
+      });
+    });
+    Object.values(traitCounts).forEach(values => {
+      const present = Object.values(values).reduce((sum, count) => sum + count, 0);
+      if (present < total) {
+        values.None = total - present;
+      }
+    });
+
+    const tokens = allMetadata.map((metadata, index) => {
+      const owned = new Map(scoredTraits(metadata).map(a => [a.trait_type, a.value]));
+      let score = 0;
+      let statisticalRarity = 1;
+
+      Object.entries(traitCounts).forEach(([type, values]) => {
+        const frequency = values[owned.has(type) ? owned.get(type) : 'None'] / total;
+        score += 1 / frequency;
+        statisticalRarity *= frequency;
+      });
+
+      return { tokenId: index + 1, rank: 0, score: Number(score.toFixed(4)), statisticalRarity };
+    });
+
+    [...tokens]
+      .sort((a, b) =>
+        b.score - a.score ||
+        a.statisticalRarity - b.statisticalRarity ||
+        a.tokenId - b.tokenId
+      )
+      .forEach((token, index) => {
+        token.rank = index + 1;
+      });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      totalTokens: total,
+      method: 'Sum of 1/frequency per trait (rank 1 = rarest); statisticalRarity = product of frequencies',
+      traitCounts,
+      tokens
+    };
+  }
+  
+  /**
+   * Write metadata/provenance.json: sha256 of every image in artwork order and
+   * the provenance hash over them, plus a snapshot of the metadata file hashes
+   * Publish it before mint. An existing record with a different hash is kept
+   * unless `force` is set, since the published one must not change silently.
+   */
+  async generateProvenance({ force = false } = {}) {
+    console.log('🔏 Computing provenance hash...');
+    
+    const metadataDir = path.join(process.cwd(), 'metadata');
+    const provenancePath = path.join(metadataDir, 'provenance.json');
+    const provenance = await computeProvenance({
+      artworkDir: path.join(process.cwd(), 'artwork'),
+      jsonDir: path.join(metadataDir, 'json'),
+      totalTokens: this.config.totalSupply
+    });
+    
+    const existing = await fs.readFile(provenancePath, 'utf8').then(JSON.parse, () => null);
+    if (existing && existing.provenanceHash !== provenance.provenanceHash && !force) {
+      throw new Error(`provenance.json already records ${existing.provenanceHash}; pass --force to replace it`);
+    }
+    
+    const record = {
+      generatedAt: new Date().toISOString(),
+      totalTokens: this.config.totalSupply,
+      warriorsPerClan: this.config.warriorsPerClan,
+      startingIndex: this.config.startingIndex,
+      ...provenance
+    };
+    await fs.writeFile(provenancePath, JSON.stringify(record, null, 2));
+    
+    console.log(`📍 Provenance hash: ${record.provenanceHash}`);
+    return record;
+  }
+
+  /**
+   * Check artwork against the recorded provenance; metadata changes since the
+   * snapshot are listed but expected once rewrite-uris or sync have run
+   */
+  async verifyProvenance() {
+    const metadataDir = path.join(process.cwd(), 'metadata');
+    const recorded = JSON.parse(await fs.readFile(path.join(metadataDir, 'provenance.json'), 'utf8'));
+    const current = await computeProvenance({
+      artworkDir: path.join(process.cwd(), 'artwork'),
+      jsonDir: path.join(metadataDir, 'json'),
+      totalTokens: recorded.totalTokens
+    });
+    
+    const changedImages = recorded.images
+      .map((hash, index) => (hash === current.images[index] ? null : index + 1))
+      .filter(Boolean);
+    
+    // Shifting the artwork rewrites every token's metadata, so only compare like with like
+    const metadataComparable = recorded.startingIndex === this.config.startingIndex;
+    const changedMetadata = metadataComparable
+      ? recorded.metadata
+        .map((hash, index) => (hash === current.metadata[index] ? null : index + 1))
+        .filter(Boolean)
+      : [];
+    
+    const result = {
+      provenanceHash: recorded.provenanceHash,
+      imagesMatch: changedImages.length === 0,
+      changedImages,
+      changedMetadata
+    };
+    result.passed = result.imagesMatch;
+    
+    if (result.passed) {
+      console.log(`✅ Artwork matches provenance ${recorded.provenanceHash}`);
+    } else {
+      console.log('❌ Provenance mismatch');
+      console.log(`   Images changed: ${changedImages.slice(0, 20).join(', ')}`);
+    }
+    if (!metadataComparable) {
+      console.log(`ℹ️  Metadata not compared: recorded at starting index ${recorded.startingIndex}, now ${this.config.startingIndex}`);
+    } else if (changedMetadata.length) {
+      console.log(`ℹ️  ${changedMetadata.length} metadata files changed since the snapshot (expected after rewrite-uris or sync): ${changedMetadata.slice(0, 20).join(', ')}`);
+    }
+    return result;
+  }
+
+  /**
+   * Tabulate rarity, clan and trait counts for the generated collection and
+   * compare them with the configured weights
+   * Writes metadata/distribution-report.{json,md}; passed is false when a
+   * rarity tier drifts beyond tolerance overall or within a clan
+   */
+  async generateDistributionReport() {
+    const metadataDir = path.join(process.cwd(), 'metadata');
+    const allMetadata = JSON.parse(
+      await fs.readFile(path.join(metadataDir, 'json', '_collection.json'), 'utf8')
+    );
+    const attribute = (metadata, type) =>
+      metadata.attributes.find(a => a.trait_type === type)?.value;
+
+    const failures = [];
+    const rarityTable = (tokens, tolerance, scope) => this.rarities.map(rarity => {
+      const count = tokens.filter(metadata => attribute(metadata, 'Rarity') === rarity.name).length;
+      const percent = tokens.length ? (count / tokens.length) * 100 : 0;
+      const drift = percent - rarity.weight;
+
+      if (Math.abs(drift) > tolerance) {
+        failures.push(
+          `${scope}: ${rarity.name} is ${percent.toFixed(2)}% (target ${rarity.weight}%, tolerance ±${tolerance})`
+        );
+      }
+      return {
+        rarity: rarity.name,
+        count,
+        percent: Number(percent.toFixed(2)),
+        target: rarity.weight,
+        drift: Number(drift.toFixed(2))
+      };
+    });
+
+    const overall = rarityTable(allMetadata, this.config.rarityTolerance, 'Collection');
+
+    const clans = this.clans.map(clan => {
+      const tokens = allMetadata.filter(metadata => attribute(metadata, 'Clan') === clan.name);
+      if (tokens.length !== this.config.warriorsPerClan) {
+        failures.push(`${clan.name}: ${tokens.length} warriors (expected ${this.config.warriorsPerClan})`);
+      }
+      return {
+        clan: clan.name,
+        count: tokens.length,
+        rarities: rarityTable(tokens, this.config.clanRarityTolerance, clan.name)
+      };
+    });
+
+    // Expected trait counts follow each token's own weighted pool
+    const traits = {};
+    allMetadata.forEach(metadata => {
+      const clan = this.clans.find(c => c.name === attribute(metadata, 'Clan'));
+      const rarityLevel = String(attribute(metadata, 'Rarity')).toLowerCase();
+
+      Object.keys(this.traitCategories).forEach(category => {
+        const type = this.capitalizeFirst(category);
+        const table = traits[type] || (traits[type] = {});
+        const pool = this.getTraitPool(category, rarityLevel, clan);
+        const poolWeight = pool.reduce((sum, variant) => sum + variant.weight, 0);
+
+        pool.forEach(variant => {
+          table[variant.name] = table[variant.name] || { count: 0, expected: 0 };
+          table[variant.name].expected += variant.weight / poolWeight;
+        });
+
+        const value = attribute(metadata, type);
+        table[value] = table[value] || { count: 0, expected: 0 };
+        table[value].count++;
+      });
+    });
+    Object.values(traits).forEach(table => Object.values(table).forEach(entry => {
+      entry.expected = Number(entry.expected.toFixed(1));
+    }));
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      totalTokens: allMetadata.length,
+      tolerance: {
+        collection: this.config.rarityTolerance,
+        clan: this.config.clanRarityTolerance
+      },
+      passed: failures.length === 0,
+      failures,
+      rarity: overall,
+      clans,
+      traits
+    };
+
+    await fs.writeFile(
+      path.join(metadataDir, 'distribution-report.json'),
+      JSON.stringify(report, null, 2)
+    );
+    await fs.writeFile(
+      path.join(metadataDir, 'distribution-report.md'),
+      this.formatDistributionReport(report)
+    );
+
+    if (report.passed) {
+      console.log('✅ Distribution within tolerance');
+    } else {
+      console.log('⚠️  Distribution drifts beyond tolerance:');
+      failures.forEach(failure => console.log(`   - ${failure}`));
+    }
+    console.log('📊 Report written to metadata/distribution-report.md');
+
+    return report;
+  }
+
+  formatDistributionReport(report) {
+    const rarityRows = rows => rows
+      .map(r => `| ${r.rarity} | ${r.count} | ${r.percent}% | ${r.target}% | ${r.drift > 0 ? '+' : ''}${r.drift} |`)
+      .join('\n');
+    const rarityHeader = '| Rarity | Count | Actual | Target | Drift (pp) |\n|---|---|---|---|---|\n';
+
+    let content = '# Bushido Collection Distribution Report\n\n';
+    content += `Generated: ${report.generatedAt}\n\n`;
+    content += `- Total Tokens: ${report.totalTokens}\n`;
+    content += `- Tolerance: ±${report.tolerance.collection} pp overall, ±${report.tolerance.clan} pp per clan\n`;
+    content += `- Result: ${report.passed ? 'PASSED' : 'FAILED'}\n\n`;
+
+    if (report.failures.length > 0) {
+      content += '## Failures\n\n';
+      report.failures.forEach(failure => {
+        content += `- ${failure}\n`;
+      });
+      content += '\n';
+    }
+
+    content += '## Rarity\n\n' + rarityHeader + rarityRows(report.rarity) + '\n\n';
+
+    content += '## Clans\n\n';
+    report.clans.forEach(clan => {
+      content += `### ${clan.clan} (${clan.count} warriors)\n\n`;
+      content += rarityHeader + rarityRows(clan.rarities) + '\n\n';
+    });
+
+    content += '## Traits\n\n';
+    Object.entries(report.traits).forEach(([type, values]) => {
+      content += `### ${type}\n\n| Value | Count | Expected |\n|---|---|---|\n`;
+      Object.entries(values)
+        .sort(([, a], [, b]) => b.count - a.count)
+        .forEach(([value, { count, expected }]) => {
+          content += `| ${value} | ${count} | ${expected} |\n`;
+        });
+      content += '\n';
+    });
+
+    return content;
+  }
+  
+  /**
+   * Upload metadata as one directory of 1.json ... N.json, so
+   * BushidoNFT.tokenURI (baseURI + tokenId + ".json") resolves under the base URI
+   * metadata/contract.json goes into the same directory, as baseURI + "contract.json".
+   * The root CID is also computed offline and, when IPFS_API_URL points at a
+   * local node, hashed there too; for content-addressed storage any
+   * disagreement with the stored root fails the upload.
+   */
+  async uploadMetadata(metadata, { dryRun = false } = {}) {
+    const storage = dryRun ? null : this.getStorage();
+    console.log(`📤 Uploading metadata directory via ${this.config.storage}...`);
+    
+    try {
+      // Nothing is pinned unless every token passes the metadata schema
+      const validation = await this.checkMetadata(metadata, { dryRun });
+      if (!validation.passed) {
+        throw new Error(`${validation.invalid.length} tokens failed metadata validation (${formatTokenIds(validation.invalid.map(result => result.tokenId))})`);
+      }
+      
+      const contract = await this.loadContractMetadata();
+      if (contract) {
+        const errors = validateContractMetadata(contract);
+        if (errors.length > 0) {
+          throw new Error(`contract.json failed validation: ${errors.join('; ')}`);
+        }
+      } else {
+        console.log('⚠️  No metadata/contract.json; run the contract command to include contract-level metadata');
+      }
+      
+      const uploadDir = await this.stageMetadataDirectory(metadata, contract);
+      const expected = await this.computeMetadataCid(uploadDir);
+      const metadataHash = this.metadataHash(metadata, contract);
+      
+      // The manifest root may already be on-chain as the base URI
+      const manifest = await this.loadCidManifest();
+      if (manifest && manifest.metadata.rootCid !== expected.cid) {
+        throw new Error(`Metadata root ${expected.cid} differs from ${manifest.metadata.rootCid} in cid-manifest.json; run the cid command again if the change is intended`);
+      }
+      
+      if (dryRun) {
+        console.log(`🔎 Dry run: would upload ${expected.files.length} files, root CID ${expected.cid}`);
+        return { metadataCid: expected.cid, files: expected.files.length, dryRun: true };
+      }
+      
+      // Same root CID means identical content: nothing to upload again
+      const journal = await this.loadUploadJournal();
+      const stored = journal.findPinned('metadata', 'directory', expected.cid, storage.name);
+      if (stored) {
+        console.log('⏭️  Metadata directory already uploaded:', stored.baseUri);
+        return this.saveMetadataUpload({
+          metadataCid: expected.cid,
+          baseUri: stored.baseUri,
+          pinned: true,
+          files: expected.files.length,
+          ...(contract && { contractUri: `${stored.baseUri}contract.json` }),
+          metadataHash
+        });
+      }
+      
+      const result = await withRetry(() => storage.uploadDirectory(uploadDir, {
+        name: 'metadata',
+        label: 'Bushido Warrior Metadata'
+      }), this.retryOptions('metadata directory'));
+      
+      if (storage.contentAddressed && result.id !== expected.cid) {
+        throw new Error(`${storage.name} returned root CID ${result.id} but ${expected.cid} was computed locally`);
+      }
+      
+      await journal.record('metadata', 'directory', {
+        contentHash: expected.cid,
+        provider: storage.name,
+        id: result.id,
+        baseUri: result.baseUri
+      });
+      
+      console.log('✅ Upload complete!');
+      console.log('📍 Metadata root CID:', expected.cid);
+      if (result.removed) {
+        console.log(`🧹 Removed ${result.removed} stale objects left by earlier uploads`);
+      }
+      
+      return this.saveMetadataUpload({
+        metadataCid: expected.cid,
+        baseUri: result.baseUri,
+        pinned: true,
+        ...(result.size && { pinSize: result.size }),
+        files: expected.files.length,
+        ...(contract && { contractUri: `${result.baseUri}contract.json` }),
+        metadataHash
+      });
+    } catch (error) {
+      console.error('❌ Upload failed:', error);
+      throw error;
+    }
+  }
+
+  // Kept for callers from before storage providers were pluggable
+  uploadToPinata(metadata) {
+    return this.uploadMetadata(metadata);
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorageProvider(this.config.storage, this.config);
+    }
+    return this.storage;
+  }
+
+  /**
+   * Compute every image CID and the metadata root CID without any network,
+   * and record them in metadata/cid-manifest.json
+   * The metadata is staged exactly as uploadMetadata will stage it, with
+   * image URIs pointing at the computed image CIDs, so the base URI is final.
+   */
+  async computeCidManifest() {
+    console.log('🧮 Computing CIDs offline...');
+    
+    const metadataDir = path.join(process.cwd(), 'metadata');
+    const artworkDir = path.join(process.cwd(), 'artwork');
+    const allMetadata = JSON.parse(
+      await fs.readFile(path.join(metadataDir, 'json', '_collection.json'), 'utf8')
+    );
+    const artworkIds = allMetadata.map((_, index) => index + 1);
+    
+    const images = {};
+    const missing = [];
+    await mapWithConcurrency(artworkIds, this.config.uploadConcurrency, async artworkId => {
+      try {
+        const cid = await computeFileCid(await fs.readFile(path.join(artworkDir, `${artworkId}.png`)));
+        images[artworkId] = { cid, uri: `ipfs://${cid}` };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        missing.push(artworkId);
+      }
+    });
+    if (missing.length > 0) {
+      throw new Error(`Missing ${missing.length} artwork files: ${missing.slice(0, 10).join(', ')}${missing.length > 10 ? ', ...' : ''}`);
+    }
+    
+    this.applyImageUris(allMetadata, new Map(artworkIds.map(artworkId => [artworkId, images[artworkId].uri])));
+    const contract = await this.loadContractMetadata();
+    const uploadDir = await this.stageMetadataDirectory(allMetadata, contract);
+    const { cid: rootCid, files } = await this.computeMetadataCid(uploadDir);
+    
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      unixfs: UNIXFS_PROFILE,
+      metadata: {
+        rootCid,
+        baseUri: `ipfs://${rootCid}/`,
+        ...(contract && { contractUri: `ipfs://${rootCid}/contract.json` }),
+        files: Object.fromEntries(files.map(file => [path.basename(file.path, '.json'), file.cid]))
+      },
+      images
+    };
+    
+    const manifestPath = path.join(metadataDir, 'cid-manifest.json');
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    
+    console.log(`✅ ${artworkIds.length} image CIDs and the metadata root computed`);
+    console.log(`📝 Contract base URI: ${manifest.metadata.baseUri}`);
+    return manifest;
+  }
+
+  async loadCidManifest() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(process.cwd(), 'metadata', 'cid-manifest.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Point each token's image (and its files entry) at the uploaded URI of its artwork
+   * @param {Map<number, string>} imageUris - artwork ID -> URI
+   */
+  applyImageUris(metadata, imageUris) {
+    metadata.forEach((token, index) => {
+      const artworkId = token.properties?.artwork_id ?? index + 1;
+      const uri = imageUris.get(artworkId);
+      if (!uri) {
+        throw new Error(`No image URI for artwork ${artworkId} (token ${index + 1}); upload it before the metadata`);
+      }
+      this.setImageUri(token, uri);
+    });
+    return metadata;
+  }
+
+  setImageUri(token, uri) {
+    token.image = uri;
+    if (token.properties?.files?.[0]) {
+      token.properties.files[0].uri = uri;
+    }
+  }
+
+  /**
+   * Uploaded image URIs from metadata/image-uploads.json, keyed by artwork ID
+   * (entries written before starting indexes existed are keyed by token ID)
+   */
+  async loadImageUris() {
+    try {
+      const uploads = JSON.parse(
+        await fs.readFile(path.join(process.cwd(), 'metadata', 'image-uploads.json'), 'utf8')
+      );
+      return new Map(uploads.map(upload => [upload.artworkId ?? upload.tokenId, upload.uri]));
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+  }
+
+  /**
+   * Token IDs whose image (or files entry) is not the uploaded URI of their artwork
+   */
+  findStaleImageUris(metadata, imageUris, tokenIds = metadata.map((_, index) => index + 1)) {
+    return tokenIds.filter(tokenId => {
+      const token = metadata[tokenId - 1];
+      const uri = imageUris.get(token.properties?.artwork_id ?? tokenId);
+      return !uri || token.image !== uri || (token.properties?.files?.[0] && token.properties.files[0].uri !== uri);
+    });
+  }
+
+  /**
+   * Write the uploaded image URIs into metadata/json (token files and
+   * _collection.json), so what is on disk is exactly what gets pinned
+   * Only tokens whose URI actually changes are rewritten; every token in
+   * range must have an uploaded image, otherwise nothing is written.
+   */
+  async rewriteImageUris({ tokenIds = null, dryRun = false } = {}) {
+    const allMetadata = await this.loadCollection();
+    const imageUris = await this.loadImageUris();
+    const ids = tokenIds || allMetadata.map((_, index) => index + 1);
+    
+    const missing = ids.filter(tokenId => !imageUris.has(allMetadata[tokenId - 1].properties?.artwork_id ?? tokenId));
+    if (missing.length > 0) {
+      throw new Error(`No uploaded image for tokens ${formatTokenIds(missing)}; run upload-images first`);
+    }
+    
+    const stale = this.findStaleImageUris(allMetadata, imageUris, ids);
+    if (dryRun) {
+      console.log(`🔎 Dry run: would rewrite image URIs of ${stale.length} tokens${stale.length ? ` (${formatTokenIds(stale)})` : ''}`);
+      return { rewritten: stale, dryRun: true };
+    }
+    
+    const metadataDir = path.join(process.cwd(), 'metadata', 'json');
+    for (const tokenId of stale) {
+      const token = allMetadata[tokenId - 1];
+      this.setImageUri(token, imageUris.get(token.properties?.artwork_id ?? tokenId));
+      await fs.writeFile(path.join(metadataDir, `${tokenId}.json`), JSON.stringify(token, null, 2));
+    }
+    if (stale.length > 0) {
+      await fs.writeFile(path.join(metadataDir, '_collection.json'), JSON.stringify(allMetadata, null, 2));
+    }
+    
+    const pipeline = await this.loadPipeline();
+    await pipeline.record('rewrite-uris', {
+      tokens: formatTokenIds(ids),
+      rewritten: stale.length
+    });
+    
+    console.log(`✅ Image URIs rewritten for ${stale.length} tokens (${ids.length - stale.length} already up to date)`);
+    return { rewritten: stale };
+  }
+
+  /**
+   * Write exactly the token files (and contract.json, if given) into
+   * metadata/ipfs-directory, clearing anything stale
+   */
+  async stageMetadataDirectory(metadata, contract = null) {
+    const uploadDir = path.join(process.cwd(), 'metadata', 'ipfs-directory');
+    await fs.rm(uploadDir, { recursive: true, force: true });
+    await fs.mkdir(uploadDir, { recursive: true });
+    
+    for (let i = 0; i < metadata.length; i++) {
+      await fs.writeFile(path.join(uploadDir, `${i + 1}.json`), JSON.stringify(metadata[i], null, 2));
+    }
+    if (contract) {
+      await fs.writeFile(path.join(uploadDir, 'contract.json'), JSON.stringify(contract, null, 2));
+    }
+    return uploadDir;
+  }
+
+  /**
+   * Digest of everything uploadMetadata pins, to tell whether the upload is current
+   */
+  metadataHash(metadata, contract) {
+    return contentHash(JSON.stringify({ tokens: metadata, contract }));
+  }
+
+  async computeMetadataCid(uploadDir) {
+    const computed = await computeDirectoryCidFromDisk(uploadDir);
+    
+    if (this.config.ipfsApiUrl) {
+      const nodeCid = await createStorageProvider('ipfs', this.config).hashDirectory(uploadDir);
+      if (nodeCid !== computed.cid) {
+        throw new Error(`IPFS node at ${this.config.ipfsApiUrl} computed ${nodeCid} but ${computed.cid} was computed offline`);
+      }
+      console.log('✓ Root CID confirmed by local IPFS node');
+    }
+    
+    return computed;
+  }
+
+  /**
+   * Record the metadata root in metadata/ipfs-uploads.json, keeping other keys
+   * (such as imageBaseUri) from earlier runs, and as the upload-metadata step
+   */
+  async saveMetadataUpload({ metadataCid, baseUri = `ipfs://${metadataCid}/`, ...details }) {
+    const resultsPath = path.join(process.cwd(), 'metadata', 'ipfs-uploads.json');
+    let previous = {};
+    try {
+      previous = JSON.parse(await fs.readFile(resultsPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    const uploads = {
+      ...previous,
+      storage: this.config.storage,
+      metadataCid,
+      baseUri,
+      cidVersion: UNIXFS_OPTIONS.cidVersion,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+    delete uploads.collectionHash;
+    delete uploads.uploads;
+    
+    await fs.writeFile(resultsPath, JSON.stringify(uploads, null, 2));
+    
+    const pipeline = await this.loadPipeline();
+    await pipeline.record('upload-metadata', {
+      storage: uploads.storage,
+      metadataCid,
+      baseUri: uploads.baseUri,
+      files: uploads.files,
+      metadataHash: uploads.metadataHash
+    });
+    
+    console.log(`📝 Contract base URI: ${uploads.baseUri}`);
+    if (uploads.contractUri) {
+      console.log(`📝 Contract URI (contract.json): ${uploads.contractUri}`);
+    }
+    return uploads;
+  }
+  
+  /**
+   * Validate tokens against the metadata schema (see metadata-schema.cjs),
+   * collecting every problem per token
+   * The result is written to metadata/validation-report.json unless dryRun.
+   */
+  async checkMetadata(metadata, { tokenIds = null, dryRun = false } = {}) {
+    console.log('🔍 Validating metadata...');
+    
+    const ids = tokenIds || metadata.map((_, index) => index + 1);
+    const invalid = validateMetadata(metadata, {
+      clans: this.clans,
+      rarities: this.rarities,
+      warriorsPerClan: this.config.warriorsPerClan
+    }, ids);
+    
+    const report = {
+      checkedAt: new Date().toISOString(),
+      tokens: formatTokenIds(ids),
+      passed: invalid.length === 0,
+      invalid
+    };
+    
+    if (!dryRun) {
+      await fs.mkdir(path.join(process.cwd(), 'metadata'), { recursive: true });
+      await fs.writeFile(
+        path.join(process.cwd(), 'metadata', 'validation-report.json'),
+        JSON.stringify(report, null, 2)
+      );
+    }
+    
+    if (report.passed) {
+      console.log(`✅ All ${ids.length} tokens match the metadata schema`);
+    } else {
+      console.log(`⚠️  ${invalid.length} of ${ids.length} tokens failed validation:`);
+      invalid.slice(0, 10).forEach(({ tokenId, errors }) => {
+        console.log(`   #${tokenId}: ${errors.join('; ')}`);
+      });
+      if (invalid.length > 10) console.log(`   ... and ${invalid.length - 10} more`);
+    }
+    if (!dryRun) {
+      console.log('📊 Report written to metadata/validation-report.json');
+    }
+    
+    return report;
+  }
+  
+  /**
+   * The rarity weights in config/collection.json must still produce the
+   * contract's tiers, or seeded and minted rarities drift from the metadata
+   */
+  checkRarityConfig() {
+    const problems = checkContractThresholds(this.rarities);
+
+    if (problems.length === 0) {
+      console.log('✅ Rarity weights match BushidoNFT._determineRarity');
+    } else {
+      console.log('⚠️  Rarity weights in config/collection.json do not match the contract:');
+      problems.forEach(problem => console.log(`   - ${problem}`));
+    }
+    return problems;
+  }
+  
+  /**
+   * Verify artwork files are usable before anything is pinned
+   */
+  async verifyArtwork(options) {
+    const report = await this.checkArtwork(options);
+    return report.passed;
+  }
+
+  /**
+   * Check artwork/1.png ... artwork/N.png: present, a complete PNG, the
+   * expected dimensions, within the size limit and not a duplicate of
+   * another image; anything else in artwork/ is reported as stray
+   * artworkIds narrows the check to part of the collection (stray files are
+   * still looked for in the whole directory).
+   * The full result is written to metadata/artwork-report.json unless dryRun.
+   */
+  async checkArtwork({ artworkIds = null, dryRun = false } = {}) {
+    console.log('🔍 Verifying artwork files...');
+    
+    const artworkDir = path.join(process.cwd(), 'artwork');
+    const { totalSupply, maxImageBytes } = this.config;
+    const expectedNames = new Set(Array.from({ length: totalSupply }, (_, i) => `${i + 1}.png`));
+    const checkedIds = artworkIds || Array.from({ length: totalSupply }, (_, i) => i + 1);
+    
+    let entries = [];
+    try {
+      entries = await fs.readdir(artworkDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const present = new Set(entries.filter(entry => entry.isFile()).map(entry => entry.name));
+    const stray = entries.map(entry => entry.name).filter(name => !expectedNames.has(name) || !present.has(name)).sort();
+    
+    const missing = [];
+    const invalid = [];
+    const oversized = [];
+    const images = [];
+    
+    await mapWithConcurrency(checkedIds, this.config.uploadConcurrency, async artworkId => {
+      if (!present.has(`${artworkId}.png`)) {
+        missing.push(artworkId);
+        return;
+      }
+      
+      const content = await fs.readFile(path.join(artworkDir, `${artworkId}.png`));
+      if (content.length > maxImageBytes) {
+        oversized.push({ artworkId, bytes: content.length });
+      }
+      
+      try {
+        const { width, height } = readPngInfo(content);
+        images.push({ artworkId, width, height, hash: contentHash(content) });
+      } catch (error) {
+        invalid.push({ artworkId, error: error.message });
+      }
+    });
+    
+    // Without configured dimensions, the size most images share is the expected one
+    const sizeCounts = new Map();
+    images.forEach(({ width, height }) => {
+      const key = `${width}x${height}`;
+      sizeCounts.set(key, (sizeCounts.get(key) || 0) + 1);
+    });
+    const [commonSize] = [...sizeCounts.entries()].sort((a, b) => b[1] - a[1])[0] || ['0x0'];
+    const [commonWidth, commonHeight] = commonSize.split('x').map(Number);
+    const width = this.config.imageWidth ?? commonWidth;
+    const height = this.config.imageHeight ?? commonHeight;
+    const wrongDimensions = images
+      .filter(image => image.width !== width || image.height !== height)
+      .map(({ artworkId, width, height }) => ({ artworkId, width, height }));
+    
+    const byHash = new Map();
+    images.forEach(({ artworkId, hash }) => {
+      byHash.set(hash, [...(byHash.get(hash) || []), artworkId]);
+    });
+    const duplicates = [...byHash.values()]
+      .filter(ids => ids.length > 1)
+      .map(ids => ids.sort((a, b) => a - b));
+    
+    const byId = (a, b) => a.artworkId - b.artworkId;
+    const report = {
+      checkedAt: new Date().toISOString(),
+      expected: { count: checkedIds.length, width, height, maxBytes: maxImageBytes },
+      ...(artworkIds && { artworkIds: formatTokenIds(checkedIds) }),
+      passed: false,
+      summary: {
+        valid: images.length - wrongDimensions.length,
+        missing: missing.length,
+        invalid: invalid.length,
+        wrongDimensions: wrongDimensions.length,
+        oversized: oversized.length,
+        duplicateGroups: duplicates.length,
+        stray: stray.length
+      },
+      missing: missing.sort((a, b) => a - b),
+      invalid: invalid.sort(byId),
+      wrongDimensions: wrongDimensions.sort(byId),
+      oversized: oversized.sort(byId),
+      duplicates: duplicates.sort((a, b) => a[0] - b[0]),
+      stray
+    };
+    report.passed = Object.entries(report.summary).every(([key, count]) => key === 'valid' || count === 0);
+    
+    if (!dryRun) {
+      await fs.mkdir(path.join(process.cwd(), 'metadata'), { recursive: true });
+      await fs.writeFile(
+        path.join(process.cwd(), 'metadata', 'artwork-report.json'),
+        JSON.stringify(report, null, 2)
+      );
+      
+      const pipeline = await this.loadPipeline();
+      await pipeline.record('verify-art', {
+        artworkIds: formatTokenIds(checkedIds),
+        passed: report.passed,
+        summary: report.summary
+      });
+    }
+    
+    if (report.passed) {
+      console.log(`✅ All ${checkedIds.length} artwork files verified (${width}x${height})!`);
+    } else {
+      console.log('⚠️  Artwork problems found:');
+      if (missing.length) console.log(`   Missing (${missing.length}): ${formatTokenIds(missing)}`);
+      report.invalid.forEach(({ artworkId, error }) => console.log(`   Invalid #${artworkId}: ${error}`));
+      report.wrongDimensions.forEach(image => {
+        console.log(`   Wrong size #${image.artworkId}: ${image.width}x${image.height}, expected ${width}x${height}`);
+      });
+      report.oversized.forEach(({ artworkId, bytes }) => {
+        console.log(`   Too large #${artworkId}: ${bytes} bytes, max ${maxImageBytes}`);
+      });
+      report.duplicates.forEach(ids => console.log(`   Identical images: ${ids.join(', ')}`));
+      if (stray.length) console.log(`   Stray files (${stray.length}): ${stray.join(', ')}`);
+    }
+    if (!dryRun) {
+      console.log('📊 Report written to metadata/artwork-report.json');
+    }
+    
+    return report;
+  }
+  
+  /**
+   * Upload images through the configured storage provider
+   * Progress is journalled per token in metadata/upload-state.json, so an
+   * interrupted run resumes where it stopped; images already pinned with the
+   * same content are skipped unless listed in `only`
+   * artworkIds limits the run without forcing anything; dryRun only reports
+   * which images would be uploaded.
+   * Images are keyed by artwork ID (the file name in artwork/), which equals
+   * the token ID until a starting index is applied
+   */
+  async uploadImages({ only = null, artworkIds = only, dryRun = false } = {}) {
+    const storage = dryRun ? null : this.getStorage();
+    const provider = this.config.storage;
+    console.log(`📤 Uploading images via ${provider}...`);
+    
+    const artworkDir = path.join(process.cwd(), 'artwork');
+    const journal = await this.loadUploadJournal();
+    const manifest = storage?.contentAddressed ? await this.loadCidManifest() : null;
+    const ids = artworkIds || Array.from({ length: this.config.totalSupply }, (_, i) => i + 1);
+    const forced = new Set(only || []);
+    const pending = [];
+    const failures = [];
+    let uploaded = 0;
+    let skipped = 0;
+    
+    await mapWithConcurrency(ids, this.config.uploadConcurrency, async artworkId => {
+      const imagePath = path.join(artworkDir, `${artworkId}.png`);
+      
+      try {
+        const hash = contentHash(await fs.readFile(imagePath));
+        if (!forced.has(artworkId) && journal.findPinned('images', artworkId, hash, provider)) {
+          skipped++;
+          return;
+        }
+        if (dryRun) {
+          pending.push(artworkId);
+          return;
+        }
+        
+        const result = await withRetry(() => storage.uploadFile(imagePath, {
+          name: `${artworkId}.png`,
+          label: `Bushido Artwork #${artworkId}.png`
+        }), this.retryOptions(`image ${artworkId}`));
+        
+        const expectedCid = manifest?.images[artworkId]?.cid;
+        if (expectedCid && result.id !== expectedCid) {
+          throw new Error(`${storage.name} returned ${result.id}, cid-manifest.json expects ${expectedCid}`);
+        }
+        
+        await journal.record('images', artworkId, {
+          contentHash: hash,
+          provider: storage.name,
+          id: result.id,
+          uri: result.uri
+        });
+        
+        if (++uploaded % 50 === 0) {
+          console.log(`✓ Uploaded ${uploaded}/${ids.length - skipped} images`);
+        }
+      } catch (error) {
+        failures.push({ artworkId, error: describeError(error) });
+      }
+    });
+    
+    if (dryRun) {
+      console.log(`🔎 Dry run: ${pending.length} images would be uploaded${pending.length ? ` (${formatTokenIds(pending)})` : ''}, ${skipped} already pinned, ${failures.length} unreadable`);
+      failures.slice(0, 10).forEach(({ artworkId, error }) => console.log(`   - #${artworkId}: ${error}`));
+      return { pending: pending.sort((a, b) => a - b), skipped, failures, dryRun: true };
+    }
+    
+    // Save image upload results for every artwork this provider holds so far
+    const imageUploads = Object.entries(journal.state.images || {})
+      .filter(([, entry]) => (entry.provider || 'pinata') === provider)
+      .map(([artworkId, entry]) => ({ artworkId: Number(artworkId), ipfsHash: entry.id || entry.cid, uri: entry.uri }))
+      .sort((a, b) => a.artworkId - b.artworkId);
+    const resultsPath = path.join(process.cwd(), 'metadata', 'image-uploads.json');
+    await fs.writeFile(resultsPath, JSON.stringify(imageUploads, null, 2));
+    
+    const pipeline = await this.loadPipeline();
+    await pipeline.record('upload-images', {
+      storage: provider,
+      artworkIds: formatTokenIds(ids),
+      uploaded,
+      skipped,
+      failed: failures.length
+    });
+    
+    console.log(`📊 ${uploaded} uploaded, ${skipped} already pinned, ${failures.length} failed`);
+    if (failures.length > 0) {
+      failures.slice(0, 10).forEach(({ artworkId, error }) => console.log(`   - #${artworkId}: ${error}`));
+      throw new Error(`${failures.length} images failed to upload; run again to resume`);
+    }
+    
+    console.log('✅ Image upload complete!');
+    return imageUploads;
+  }
+
+  async loadUploadJournal() {
+    if (!this.uploadJournal) {
+      const journalPath = path.join(process.cwd(), 'metadata', 'upload-state.json');
+      await fs.mkdir(path.dirname(journalPath), { recursive: true });
+      this.uploadJournal = await new UploadJournal(journalPath).load();
+    }
+    return this.uploadJournal;
+  }
+
+  async loadPipeline() {
+    if (!this.pipeline) {
+      const manifestPath = path.join(process.cwd(), 'metadata', 'pipeline.json');
+      await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+      this.pipeline = await new PipelineManifest(manifestPath).load();
+    }
+    return this.pipeline;
+  }
+
+  /**
+   * Where each pipeline step stands, judged from the files on disk where
+   * possible (so hand edits and partial runs show up) and from
+   * metadata/pipeline.json otherwise; `next` is the first unfinished step
+   */
+  async pipelineStatus() {
+    const pipeline = await this.loadPipeline();
+    const { totalSupply } = this.config;
+    const steps = {};
+    
+    let collection = null;
+    let collectionError = null;
+    try {
+      collection = await this.loadCollection();
+    } catch (error) {
+      collectionError = error.message;
+    }
+    steps.generate = {
+      done: Boolean(collection),
+      detail: collection ? `${collection.length}/${totalSupply} tokens generated` : collectionError
+    };
+    
+    const artwork = pipeline.get('verify-art');
+    const allIds = formatTokenIds(Array.from({ length: totalSupply }, (_, i) => i + 1));
+    steps['verify-art'] = {
+      done: Boolean(artwork?.passed && artwork.artworkIds === allIds),
+      detail: !artwork
+        ? 'not run'
+        : `${artwork.passed ? 'passed' : 'failed'} for artwork ${artwork.artworkIds}`
+    };
+    
+    const imageUris = await this.loadImageUris();
+    const artworkIds = collection
+      ? collection.map((token, index) => token.properties?.artwork_id ?? index + 1)
+      : Array.from({ length: totalSupply }, (_, i) => i + 1);
+    const uploadedImages = artworkIds.filter(artworkId => imageUris.has(artworkId)).length;
+    steps['upload-images'] = {
+      done: uploadedImages === artworkIds.length,
+      detail: `${uploadedImages}/${artworkIds.length} images uploaded${pipeline.get('upload-images') ? ` via ${pipeline.get('upload-images').storage}` : ''}`
+    };
+    
+    const stale = collection ? this.findStaleImageUris(collection, imageUris) : [];
+    steps['rewrite-uris'] = {
+      done: Boolean(collection) && stale.length === 0,
+      detail: collection
+        ? `${collection.length - stale.length}/${collection.length} tokens point at their uploaded image`
+        : 'nothing generated'
+    };
+    
+    const upload = pipeline.get('upload-metadata');
+    const current = collection && upload?.metadataHash === this.metadataHash(collection, await this.loadContractMetadata());
+    steps['upload-metadata'] = {
+      done: Boolean(current),
+      detail: !upload
+        ? 'not uploaded'
+        : `${current ? 'uploaded' : 'collection changed since upload'} to ${upload.baseUri}`
+    };
+    
+    PIPELINE_STEPS.forEach(step => {
+      steps[step].lastRun = pipeline.get(step)?.completedAt || null;
+    });
+    const next = PIPELINE_STEPS.find(step => !steps[step].done) || null;
+    
+    console.log(`📋 Metadata pipeline (${this.config.storage})`);
+    PIPELINE_STEPS.forEach(step => {
+      console.log(`   ${steps[step].done ? '✅' : '⬜'} ${step.padEnd(16)} ${steps[step].detail}`);
+    });
+    console.log(next ? `👉 Next: ${next}` : '🎉 Everything is generated, uploaded and up to date');
+    
+    return { steps, next };
+  }
+
+  retryOptions(label) {
+    return {
+      retries: this.config.uploadRetries,
+      onRetry: (error, attempt, delay) => {
+        console.log(`⏳ ${label}: ${describeError(error)}, retry ${attempt} in ${(delay / 1000).toFixed(1)}s`);
+      }
+    };
+  }
+  
+  // Utility functions
+  sha256Hex(value) {
+    const crypto = require('crypto');
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+  
+  capitalizeFirst(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const { positionals, values: options } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      upload: { type: 'boolean', default: false },
+      only: { type: 'string' },
+      storage: { type: 'string', default: process.env.STORAGE_PROVIDER || 'pinata' },
+      'starting-index': { type: 'string', default: process.env.STARTING_INDEX },
+      'random-value': { type: 'string' },
+      force: { type: 'boolean', default: false },
+      verify: { type: 'boolean', default: false },
+      collection: { type: 'string' },
+      range: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      'with-rank': { type: 'boolean', default: false },
+      tolerance: { type: 'string' },
+      'clan-tolerance': { type: 'string' },
+      'rarity-source': { type: 'string', default: process.env.RARITY_SOURCE || 'hash' },
+      'rarity-seed': { type: 'string', default: process.env.RARITY_SEED },
+      'mint-events': { type: 'string', default: process.env.MINT_EVENTS_FILE }
+    }
+  });
+  const raritySourceOptions = {
+    source: options['rarity-source'],
+    seed: options['rarity-seed'],
+    eventsFile: options['mint-events']
+  };
+  const [command] = positionals;
+
+  const generator = new BushidoMetadataGenerator({
+    collectionConfig: options.collection,
+    pinataApiKey: process.env.PINATA_API_KEY,
+    pinataSecretKey: process.env.PINATA_SECRET_KEY,
+    imageBaseUri: process.env.IPFS_IMAGE_BASE_URI || '',
+    royaltyReceiver: process.env.ROYALTY_RECEIVER,
+    ...(process.env.ARTWORK_WIDTH && { imageWidth: Number(process.env.ARTWORK_WIDTH) }),
+    ...(process.env.ARTWORK_HEIGHT && { imageHeight: Number(process.env.ARTWORK_HEIGHT) }),
+    ...(process.env.ARTWORK_MAX_BYTES && { maxImageBytes: Number(process.env.ARTWORK_MAX_BYTES) }),
+    storage: options.storage,
+    ...(options['starting-index'] !== undefined && { startingIndex: Number(options['starting-index']) }),
+    ipfsApiUrl: process.env.IPFS_API_URL,
+    storageDir: process.env.STORAGE_DIR,
+    s3Bucket: process.env.S3_BUCKET,
+    s3Endpoint: process.env.S3_ENDPOINT,
+    s3Region: process.env.S3_REGION,
+    s3Prefix: process.env.S3_PREFIX,
+    s3PublicUrl: process.env.S3_PUBLIC_URL,
+    ...(options.concurrency && { uploadConcurrency: Number(options.concurrency) }),
+    includeRank: options['with-rank'],
+    ...(options.tolerance && { rarityTolerance: Number(options.tolerance) }),
+    ...(options['clan-tolerance'] && { clanRarityTolerance: Number(options['clan-tolerance']) })
+  });
+  
+  // Without an explicit starting index, derive it from the post-mint random value
+  if (options['starting-index'] === undefined && options['random-value'] !== undefined) {
+    generator.config.startingIndex = deriveStartingIndex(options['random-value'], generator.config.warriorsPerClan);
+    console.log(`🔀 Starting index ${generator.config.startingIndex} from ${options['random-value']}`);
+  }
+  
+  const dryRun = options['dry-run'];
+  const tokenIds = () => (options.range ? parseTokenIds(options.range, generator.config.totalSupply) : null);
+  
+  // Steps after generate map tokens to artwork with the starting index generate used
+  async function useRecordedStartingIndex() {
+    const recorded = (await generator.loadPipeline()).get('generate')?.startingIndex;
+    if (options['starting-index'] === undefined && options['random-value'] === undefined && recorded !== undefined) {
+      generator.config.startingIndex = recorded;
+    }
+  }
+  
+  // --range and --only name tokens; images are keyed by the artwork each token shows
+  async function toArtworkIds(ids) {
+    if (!ids) return null;
+    await useRecordedStartingIndex();
+    return ids.map(tokenId => generator.artworkIdFor(tokenId));
+  }
+  
+  const rangeArtworkIds = () => toArtworkIds(tokenIds());
+  const onlyArtworkIds = () => toArtworkIds(options.only ? parseTokenIds(options.only, generator.config.totalSupply) : null);
+  
+  const commands = {
+    // Every step in one go, as before the pipeline had subcommands
+    all: async () => {
+      await generator.useRaritySource(raritySourceOptions);
+      await generator.generateAllMetadata({ dryRun });
+      const artworkValid = await generator.verifyArtwork({ dryRun });
+      
+      if (artworkValid && options.upload) {
+        if (dryRun) {
+          console.log('🔎 Dry run: uploads skipped; use the upload-images and upload-metadata commands with --dry-run');
+        } else {
+          await generator.uploadImages({ only: await onlyArtworkIds() });
+          await generator.rewriteImageUris();
+          await generator.uploadMetadata(await generator.loadCollection());
+        }
+      }
+      
+      console.log('🎉 Process complete!');
+    },
+    
+    generate: async () => {
+      await generator.useRaritySource(raritySourceOptions);
+      await generator.generateAllMetadata({ tokenIds: tokenIds(), dryRun });
+    },
+    
+    'verify-art': async () => {
+      const passed = await generator.verifyArtwork({ artworkIds: await rangeArtworkIds(), dryRun });
+      if (!passed) {
+        process.exitCode = 1;
+      }
+    },
+    
+    'upload-images': async () => {
+      const only = await onlyArtworkIds();
+      const artworkIds = await rangeArtworkIds();
+      await generator.uploadImages({ only, ...(artworkIds && { artworkIds }), dryRun });
+    },
+    
+    'rewrite-uris': async () => {
+      await generator.rewriteImageUris({ tokenIds: tokenIds(), dryRun });
+    },
+    
+    'upload-metadata': async () => {
+      if (options.range) {
+        throw new Error('upload-metadata pins the whole metadata directory; --range is not supported');
+      }
+      
+      // Pin exactly what is on disk, and only once it points at the uploaded images
+      // (unless the images are hosted elsewhere via IPFS_IMAGE_BASE_URI)
+      const collection = await generator.loadCollection();
+      const imageUris = await generator.loadImageUris();
+      if (imageUris.size > 0 || !generator.config.imageBaseUri) {
+        const stale = generator.findStaleImageUris(collection, imageUris);
+        if (stale.length > 0) {
+          throw new Error(`${stale.length} tokens do not point at their uploaded image (${formatTokenIds(stale)}); run upload-images and rewrite-uris first`);
+        }
+      }
+      await generator.uploadMetadata(collection, { dryRun });
+    },
+    
+    validate: async () => {
+      const rarityProblems = generator.checkRarityConfig();
+      const { passed } = await generator.checkMetadata(await generator.loadCollection(), { tokenIds: tokenIds(), dryRun });
+      if (!passed || rarityProblems.length > 0) {
+        process.exitCode = 1;
+      }
+    },
+    
+    contract: async () => {
+      const { errors } = await generator.generateContractMetadata({ dryRun });
+      if (errors.length > 0) {
+        process.exitCode = 1;
+      }
+    },
+    
+    status: async () => {
+      await generator.pipelineStatus();
+    },
+    
+    report: async () => {
+      const { passed } = await generator.generateDistributionReport();
+      if (!passed) {
+        process.exitCode = 1;
+      }
+    },
+    
+    sync: async () => {
+      await generator.useRaritySource({ ...raritySourceOptions, source: 'events' });
+      await generator.syncRarity();
+    },
+    
+    cid: async () => {
+      await generator.computeCidManifest();
+    },
+    
+    provenance: async () => {
+      await useRecordedStartingIndex();
+      if (options.verify) {
+        const { passed } = await generator.verifyProvenance();
+        if (!passed) {
+          process.exitCode = 1;
+        }
+      } else {
+        await generator.generateProvenance({ force: options.force });
+      }
+    }
+  };
+  
+  const name = command || 'all';
+  if (commands[name]) {
+    commands[name]().catch(error => {
+      console.error('❌ Error:', error);
+      process.exit(1);
+    });
+  } else {
+    console.log('Available commands (run in order; each records itself in metadata/pipeline.json):');
+    console.log('  generate        - Generate token metadata [--range 1-200] [--dry-run]');
+    console.log('  verify-art      - Check artwork files [--range] [--dry-run]');
+    console.log('  upload-images   - Upload artwork [--range] [--only <ids>] [--concurrency <n>] [--dry-run]');
+    console.log('  rewrite-uris    - Write uploaded image URIs into metadata/json [--range] [--dry-run]');
+    console.log('  upload-metadata - Upload the metadata directory [--dry-run]');
+    console.log('  status          - Show what is done and what to run next');
+    console.log('Other commands:');
+    console.log('  validate        - Check metadata/json against the schema and rarity weights against the contract [--range]');
+    console.log('  contract        - Write metadata/contract.json (contractURI, royalties) [--dry-run]');
+    console.log('  report          - Rarity and trait distribution report');
+    console.log('  sync            - Regenerate minted tokens from TokenMinted events');
+    console.log('  cid             - Compute image and metadata CIDs offline');
+    console.log('  provenance      - Provenance hash [--verify] [--force]');
+    console.log('');
+    console.log('Without a command, generates and verifies everything (and uploads with --upload).');
+    process.exitCode = 1;
+  }
+}
+
+module.exports = BushidoMetadataGenerator;
\ No newline at end of file
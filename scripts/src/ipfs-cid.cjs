@@ -0,0 +1,101 @@
+// ipfs-cid.cjs
+// Offline IPFS CID computation, so a root CID can be known before (or checked after) pinning
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * UnixFS settings shared with the pinning services. Pinata is asked for
+ * CIDv1, and CIDv1 implies raw leaves in Kubo, so all three agree.
+ * Chunking is left at the importer defaults, which are Kubo's:
+ * 256 KiB fixed-size chunks in a balanced DAG of up to 174 links per node.
+ */
+const UNIXFS_OPTIONS = {
+  cidVersion: 1,
+  rawLeaves: true
+};
+
+// Recorded alongside computed CIDs so a manifest says how they were made
+const UNIXFS_PROFILE = {
+  ...UNIXFS_OPTIONS,
+  chunker: 'size-262144',
+  layout: 'balanced',
+  maxChildrenPerNode: 174
+};
+
+async function loadImporter() {
+  // Both packages are ESM-only
+  const { importer } = await import('ipfs-unixfs-importer');
+  const { MemoryBlockstore } = await import('blockstore-core/memory');
+  return { importer, blockstore: new MemoryBlockstore() };
+}
+
+/**
+ * CID of a single file, as `ipfs add` would report it
+ */
+async function computeFileCid(content) {
+  const { importer, blockstore } = await loadImporter();
+
+  let root;
+  for await (const entry of importer([{ content }], blockstore, UNIXFS_OPTIONS)) {
+    root = entry;
+  }
+  return root.cid.toString();
+}
+
+/**
+ * Root CID of a directory holding the given files, without touching the network
+ * @param {Array<{path: string, content: Buffer|string}>} files - paths relative to the directory
+ * @returns {Promise<{cid: string, files: Array<{path: string, cid: string, size: number}>}>}
+ */
+async function computeDirectoryCid(files) {
+  const { importer, blockstore } = await loadImporter();
+
+  const candidates = files.map(file => ({
+    path: file.path,
+    content: typeof file.content === 'string' ? Buffer.from(file.content) : file.content
+  }));
+
+  const entries = [];
+  for await (const entry of importer(candidates, blockstore, {
+    ...UNIXFS_OPTIONS,
+    wrapWithDirectory: true
+  })) {
+    entries.push(entry);
+  }
+
+  // The wrapping directory is emitted last, with an empty path
+  const root = entries[entries.length - 1];
+  return {
+    cid: root.cid.toString(),
+    files: entries.slice(0, -1).map(entry => ({
+      path: entry.path,
+      cid: entry.cid.toString(),
+      size: Number(entry.size)
+    }))
+  };
+}
+
+/**
+ * Root CID of a directory on disk (files only, not recursive)
+ */
+async function computeDirectoryCidFromDisk(dir) {
+  const names = (await fs.readdir(dir, { withFileTypes: true }))
+    .filter(entry => entry.isFile())
+    .map(entry => entry.name);
+
+  const files = await Promise.all(names.map(async name => ({
+    path: name,
+    content: await fs.readFile(path.join(dir, name))
+  })));
+
+  return computeDirectoryCid(files);
+}
+
+module.exports = {
+  UNIXFS_OPTIONS,
+  UNIXFS_PROFILE,
+  computeFileCid,
+  computeDirectoryCid,
+  computeDirectoryCidFromDisk
+};
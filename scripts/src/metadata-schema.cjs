@@ -0,0 +1,260 @@
+// metadata-schema.cjs
+// JSON Schema for token metadata: the OpenSea/ERC-721 shape plus the Bushido
+// rules that depend on the collection (clans, rarities, voting power, warriors per clan)
+
+const Ajv = require('ajv');
+
+// OpenSea display types; all of them take numeric values
+const DISPLAY_TYPES = ['number', 'boost_number', 'boost_percentage', 'date'];
+
+// Where metadata may point once pinned; relative paths and empty strings never resolve
+const URI_PATTERN = '^(ipfs://[A-Za-z0-9]+(/\\S*)?|ar://\\S+|https://\\S+)$';
+
+const REQUIRED_TRAITS = ['Clan', 'Virtue', 'Rarity', 'Warrior Number', 'Voting Power'];
+
+/**
+ * Attribute entry that must be present, optionally with a given value
+ */
+function hasAttribute(traitType, value) {
+  return {
+    contains: {
+      type: 'object',
+      properties: {
+        trait_type: { const: traitType },
+        ...(value !== undefined && { value: { const: value } })
+      },
+      required: value === undefined ? ['trait_type'] : ['trait_type', 'value']
+    }
+  };
+}
+
+/**
+ * Value rule for one trait type, applied to every attribute entry
+ */
+function traitValue(traitType, valueSchema) {
+  return {
+    if: { type: 'object', properties: { trait_type: { const: traitType } }, required: ['trait_type'] },
+    then: { properties: { value: valueSchema } }
+  };
+}
+
+/**
+ * @param {Object} collection
+ * @param {Array} collection.clans - [{ id, name }] in token order
+ * @param {Array} collection.rarities - [{ name, votingPower }] in tier order
+ * @param {number} collection.warriorsPerClan
+ */
+function buildMetadataSchema({ clans, rarities, warriorsPerClan }) {
+  const clanNames = clans.map(clan => clan.name);
+  const rarityNames = rarities.map(rarity => rarity.name);
+
+  return {
+    $id: 'https://bushido.art/schemas/token-metadata.json',
+    type: 'object',
+    required: ['name', 'description', 'image', 'attributes', 'properties'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string', minLength: 1, not: { pattern: '\\bundefined\\b|\\bnull\\b' } },
+      image: { type: 'string', pattern: URI_PATTERN },
+      external_url: { type: 'string', pattern: '^https://\\S+$' },
+      animation_url: { type: 'string', pattern: URI_PATTERN },
+      background_color: { type: 'string', pattern: '^[0-9a-fA-F]{6}$' },
+      attributes: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['trait_type', 'value'],
+          properties: {
+            trait_type: { type: 'string', minLength: 1 },
+            value: { anyOf: [{ type: 'string', minLength: 1 }, { type: 'number' }] },
+            display_type: { enum: DISPLAY_TYPES },
+            max_value: { type: 'number' }
+          },
+          additionalProperties: false,
+          allOf: [
+            {
+              if: { required: ['display_type'] },
+              then: { properties: { value: { type: 'number' } } }
+            },
+            traitValue('Clan', { enum: clanNames }),
+            traitValue('Rarity', { enum: rarityNames }),
+            traitValue('Warrior Number', { type: 'integer', minimum: 1, maximum: warriorsPerClan }),
+            traitValue('Voting Power', { enum: rarities.map(rarity => rarity.votingPower) })
+          ]
+        },
+        allOf: REQUIRED_TRAITS.map(traitType => hasAttribute(traitType))
+      },
+      properties: {
+        type: 'object',
+        required: ['clan', 'rarity', 'files'],
+        properties: {
+          clan: {
+            type: 'object',
+            required: ['name', 'id'],
+            properties: {
+              name: { enum: clanNames },
+              id: { type: 'integer', minimum: 0, maximum: clans.length - 1 }
+            },
+            // The clan ID is its position in token order
+            allOf: clans.map((clan, index) => ({
+              if: { properties: { name: { const: clan.name } }, required: ['name'] },
+              then: { properties: { id: { const: index } } }
+            }))
+          },
+          rarity: {
+            type: 'object',
+            required: ['tier', 'voting_power'],
+            properties: {
+              tier: { enum: rarityNames },
+              voting_power: { type: 'integer' }
+            },
+            allOf: rarities.map(rarity => ({
+              if: { properties: { tier: { const: rarity.name } }, required: ['tier'] },
+              then: { properties: { voting_power: { const: rarity.votingPower } } }
+            }))
+          },
+          files: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['uri', 'type'],
+              properties: {
+                uri: { type: 'string', pattern: URI_PATTERN },
+                type: { type: 'string', minLength: 1 }
+              }
+            }
+          }
+        }
+      }
+    },
+    // The Voting Power attribute must be the one of the token's Rarity
+    allOf: rarities.map(rarity => ({
+      if: { properties: { attributes: hasAttribute('Rarity', rarity.name) } },
+      then: { properties: { attributes: hasAttribute('Voting Power', rarity.votingPower) } }
+    }))
+  };
+}
+
+/**
+ * Contract-level metadata read by marketplaces from contractURI, with
+ * EIP-2981-style royalties (basis points of the sale price, paid to fee_recipient)
+ */
+function buildContractSchema() {
+  return {
+    $id: 'https://bushido.art/schemas/contract-metadata.json',
+    type: 'object',
+    required: ['name', 'description', 'external_link', 'seller_fee_basis_points'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string', minLength: 1 },
+      image: { type: 'string', pattern: URI_PATTERN },
+      banner_image: { type: 'string', pattern: URI_PATTERN },
+      external_link: { type: 'string', pattern: '^https://\\S+$' },
+      seller_fee_basis_points: { type: 'integer', minimum: 0, maximum: 10000 },
+      fee_recipient: { type: 'string', pattern: '^0x[a-fA-F0-9]{40}$', not: { pattern: '^0x0{40}$' } }
+    },
+    // Royalties need somewhere to go
+    if: { properties: { seller_fee_basis_points: { exclusiveMinimum: 0 } } },
+    then: { required: ['fee_recipient'] }
+  };
+}
+
+/**
+ * Compile the schema once; the returned function lists every problem with a
+ * token as readable strings (empty when the token is valid)
+ */
+function createMetadataValidator(collection) {
+  const ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+  const validate = ajv.compile(buildMetadataSchema(collection));
+
+  return token => {
+    if (validate(token)) {
+      return [];
+    }
+    // "must match then schema" only repeats the error that caused it, and errors
+    // from inside a contains are just the entries that did not match
+    const errors = validate.errors.filter(error => error.keyword !== 'if' && !error.schemaPath.includes('/contains/'));
+    return [...new Set(errors.map(error => describeSchemaError(error, token)))];
+  };
+}
+
+/**
+ * @returns {string[]} problems with contract.json; empty when it is valid
+ */
+function validateContractMetadata(contract) {
+  const ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+  const validate = ajv.compile(buildContractSchema());
+
+  if (validate(contract)) {
+    return [];
+  }
+  const errors = validate.errors.filter(error => error.keyword !== 'if');
+  return [...new Set(errors.map(error => describeSchemaError(error, contract)))];
+}
+
+/**
+ * Validate a whole collection; returns only the tokens with problems
+ * @returns {Array<{ tokenId: number, errors: string[] }>}
+ */
+function validateMetadata(metadata, collection, tokenIds = metadata.map((_, index) => index + 1)) {
+  const validate = createMetadataValidator(collection);
+
+  return tokenIds
+    .map(tokenId => ({ tokenId, errors: validate(metadata[tokenId - 1]) }))
+    .filter(result => result.errors.length > 0);
+}
+
+function describeSchemaError(error, token) {
+  // "/attributes/3/value" -> "attributes[3] (Warrior Number).value"
+  const segments = error.instancePath.split('/').slice(1);
+  let field = '';
+  segments.forEach((segment, index) => {
+    if (/^\d+$/.test(segment)) {
+      field += `[${segment}]`;
+      if (segments[index - 1] === 'attributes' && token?.attributes?.[segment]?.trait_type) {
+        field += ` (${token.attributes[segment].trait_type})`;
+      }
+    } else {
+      field += field ? `.${segment}` : segment;
+    }
+  });
+
+  switch (error.keyword) {
+    case 'required':
+      return `${field ? `${field}.` : ''}${error.params.missingProperty} is missing`;
+    case 'contains': {
+      const { trait_type: traitType, value } = error.schema.properties;
+      return value
+        ? `${traitType.const} attribute must be ${value.const}`
+        : `${traitType.const} attribute is missing`;
+    }
+    case 'enum':
+      return `${field} is ${JSON.stringify(error.data)}, expected one of ${error.params.allowedValues.join(', ')}`;
+    case 'const':
+      return `${field} is ${JSON.stringify(error.data)}, expected ${JSON.stringify(error.params.allowedValue)}`;
+    case 'pattern':
+      return error.schema === URI_PATTERN
+        ? `${field} ${JSON.stringify(error.data)} is not an ipfs://, ar:// or https:// URI`
+        : `${field} ${JSON.stringify(error.data)} ${error.message}`;
+    case 'not':
+      return field === 'fee_recipient'
+        ? `${field} must not be the zero address`
+        : `${field} contains "undefined" or "null"`;
+    case 'additionalProperties':
+      return `${field} has unexpected property ${error.params.additionalProperty}`;
+    default:
+      return `${field || 'token'} ${error.message}`;
+  }
+}
+
+module.exports = {
+  DISPLAY_TYPES,
+  URI_PATTERN,
+  buildMetadataSchema,
+  buildContractSchema,
+  createMetadataValidator,
+  validateMetadata,
+  validateContractMetadata
+};
@@ -0,0 +1,53 @@
+// pipeline-manifest.cjs
+// Shared record of the metadata pipeline steps (metadata/pipeline.json), so each
+// CLI subcommand can run on its own and `status` can tell what is left to do
+
+const fs = require('fs').promises;
+
+const PIPELINE_VERSION = 1;
+
+// In the order they are meant to run
+const PIPELINE_STEPS = ['generate', 'verify-art', 'upload-images', 'rewrite-uris', 'upload-metadata'];
+
+class PipelineManifest {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = { version: PIPELINE_VERSION, updatedAt: null, steps: {} };
+  }
+
+  async load() {
+    try {
+      this.state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.state.steps = this.state.steps || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Last recorded run of a step, or null if it never ran
+   */
+  get(step) {
+    return this.state.steps[step] || null;
+  }
+
+  /**
+   * Record a completed step and persist the manifest
+   */
+  async record(step, details) {
+    if (!PIPELINE_STEPS.includes(step)) {
+      throw new Error(`Unknown pipeline step: ${step}`);
+    }
+
+    this.state.steps[step] = { ...details, completedAt: new Date().toISOString() };
+    this.state.updatedAt = this.state.steps[step].completedAt;
+
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(this.state, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+    return this.state.steps[step];
+  }
+}
+
+module.exports = { PIPELINE_VERSION, PIPELINE_STEPS, PipelineManifest };
@@ -0,0 +1,53 @@
+// png-info.cjs
+// Minimal PNG structure check: signature, IHDR and an intact chunk chain ending in IEND
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Parse the header of a PNG and walk its chunks
+ * @returns {{width: number, height: number, bitDepth: number, colorType: number}}
+ * @throws if the buffer is not a complete PNG
+ */
+function readPngInfo(buffer) {
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('not a PNG (bad signature)');
+  }
+
+  let offset = 8;
+  let info = null;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    const next = dataStart + length + 4; // data + CRC
+
+    if (next > buffer.length) {
+      throw new Error(`truncated in ${type} chunk`);
+    }
+
+    if (info === null) {
+      if (type !== 'IHDR' || length !== 13) {
+        throw new Error('first chunk is not IHDR');
+      }
+      info = {
+        width: buffer.readUInt32BE(dataStart),
+        height: buffer.readUInt32BE(dataStart + 4),
+        bitDepth: buffer[dataStart + 8],
+        colorType: buffer[dataStart + 9]
+      };
+      if (info.width === 0 || info.height === 0) {
+        throw new Error('zero width or height');
+      }
+    }
+
+    if (type === 'IEND') {
+      return info;
+    }
+    offset = next;
+  }
+
+  throw new Error('truncated (no IEND chunk)');
+}
+
+module.exports = { PNG_SIGNATURE, readPngInfo };
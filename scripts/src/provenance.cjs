@@ -0,0 +1,64 @@
+// provenance.cjs
+// Collection provenance hash and the starting-index shift of the token -> artwork mapping
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Starting index from a random value revealed after mint closes (e.g. a
+ * block hash): value mod warriorsPerClan, where 0 becomes 1 so the mapping
+ * always moves. Same arithmetic as `uint256(value) % n` on-chain.
+ */
+function deriveStartingIndex(randomValue, warriorsPerClan) {
+  let value;
+  try {
+    value = BigInt(randomValue);
+  } catch {
+    throw new Error(`Random value must be a decimal or 0x-prefixed hex integer: ${randomValue}`);
+  }
+
+  const index = Number(value % BigInt(warriorsPerClan));
+  return index === 0 ? 1 : index;
+}
+
+/**
+ * Artwork shown for a token once the starting index is applied
+ * The shift wraps within the token's clan, so the artwork always belongs to
+ * the clan the contract assigned to the token.
+ */
+function artworkIdFor(tokenId, startingIndex, warriorsPerClan) {
+  const clanStart = Math.floor((tokenId - 1) / warriorsPerClan) * warriorsPerClan;
+  const position = (tokenId - 1) % warriorsPerClan;
+  return clanStart + ((position + startingIndex) % warriorsPerClan) + 1;
+}
+
+/**
+ * Hash every image in artwork order; the provenance hash is sha256 over those
+ * hashes concatenated. Metadata files are hashed too, in token order, but only
+ * as a snapshot: rewrite-uris and sync rewrite them after generation, so the
+ * provenance hash commits to the artwork and its order alone.
+ */
+async function computeProvenance({ artworkDir, jsonDir, totalTokens }) {
+  const images = [];
+  const metadata = [];
+
+  for (let id = 1; id <= totalTokens; id++) {
+    images.push(sha256(await fs.readFile(path.join(artworkDir, `${id}.png`))));
+    metadata.push(sha256(await fs.readFile(path.join(jsonDir, `${id}.json`))));
+  }
+
+  return {
+    algorithm: 'sha256',
+    provenanceHash: sha256(images.join('')),
+    metadataHash: sha256(metadata.join('')),
+    images,
+    metadata
+  };
+}
+
+module.exports = { deriveStartingIndex, artworkIdFor, computeProvenance };
@@ -0,0 +1,188 @@
+// rarity-source.cjs
+// Where a token's rarity tier comes from when its metadata is generated
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const keccak256 = require('keccak256');
+const { encodeUint256 } = require('./whitelist-leaf.cjs');
+
+const RARITY_SOURCES = ['hash', 'seed', 'events'];
+
+/**
+ * Tier thresholds out of 1000 hard-coded in BushidoNFT._determineRarity.
+ * Tier indexes follow the contract: 0 Common ... 4 Legendary.
+ */
+const CONTRACT_THRESHOLDS = [
+  { below: 25, tier: 4 },
+  { below: 100, tier: 3 },
+  { below: 250, tier: 2 },
+  { below: 500, tier: 1 }
+];
+
+/**
+ * Thresholds out of 1000 implied by the configured weights (percentages):
+ * the rarest tier takes the lowest rolls, tier 0 whatever is left
+ */
+function rollThresholds(rarities) {
+  const thresholds = [];
+  let cumulative = 0;
+  for (let tier = rarities.length - 1; tier > 0; tier--) {
+    cumulative += rarities[tier].weight * 10;
+    thresholds.push({ below: Math.round(cumulative), tier });
+  }
+  return thresholds;
+}
+
+function tierFromRoll(roll, thresholds) {
+  const match = thresholds.find(threshold => roll < threshold.below);
+  return match ? match.tier : 0;
+}
+
+/**
+ * Differences between the configured rarity weights and the contract's roll
+ * @returns {string[]} empty when config/collection.json matches the contract
+ */
+function checkContractThresholds(rarities) {
+  const thresholds = rollThresholds(rarities);
+  const problems = [];
+
+  if (thresholds.length !== CONTRACT_THRESHOLDS.length) {
+    problems.push(`${rarities.length} rarity tiers configured, the contract rolls ${CONTRACT_THRESHOLDS.length + 1}`);
+    return problems;
+  }
+  thresholds.forEach((threshold, index) => {
+    const expected = CONTRACT_THRESHOLDS[index];
+    if (threshold.tier !== expected.tier || threshold.below !== expected.below) {
+      problems.push(
+        `${rarities[threshold.tier].name} rolls below ${threshold.below}/1000 in config, ` +
+        `below ${expected.below}/1000 in BushidoNFT._determineRarity`
+      );
+    }
+  });
+  return problems;
+}
+
+/**
+ * Off-chain only: sha256(id) against the configured weights.
+ * Kept as the default so existing collections regenerate unchanged.
+ */
+function hashSource(rarities) {
+  return {
+    name: 'hash',
+    // Keyed by artwork, so the roll follows the artwork when the starting index shifts it
+    perArtwork: true,
+    rarityOf(id) {
+      const hash = crypto.createHash('sha256').update(id.toString()).digest('hex');
+      const rand = (parseInt(hash.substr(0, 8), 16) % 1000) / 10;
+
+      let cumulativeWeight = 0;
+      for (let tier = 0; tier < rarities.length; tier++) {
+        cumulativeWeight += rarities[tier].weight;
+        if (rand <= cumulativeWeight) {
+          return tier;
+        }
+      }
+      return 0;
+    }
+  };
+}
+
+/**
+ * Committed seed, for a contract that rolls rarity deterministically:
+ *   keccak256(abi.encodePacked(bytes32 seed, uint256 tokenId)) % 1000
+ */
+function seedSource(seed, rarities) {
+  if (!/^0x[a-fA-F0-9]{64}$/.test(seed || '')) {
+    throw new Error('Rarity seed must be a 0x-prefixed 32-byte hex string');
+  }
+  const seedBytes = Buffer.from(seed.slice(2), 'hex');
+  const thresholds = rollThresholds(rarities);
+
+  return {
+    name: 'seed',
+    seed,
+    rarityOf(tokenId) {
+      const hash = keccak256(Buffer.concat([seedBytes, encodeUint256(tokenId)]));
+      return tierFromRoll(Number(BigInt('0x' + hash.toString('hex')) % 1000n), thresholds);
+    }
+  };
+}
+
+/**
+ * Exported TokenMinted(to, tokenId, clan, rarity) events: a JSON array (or
+ * { events: [...] }) of objects with tokenId, clan and rarity, either at the
+ * top level or under args. Unminted tokens have no rarity yet.
+ */
+async function eventsSource(eventsFile, rarities) {
+  if (!eventsFile) {
+    throw new Error('An events file is required for the events rarity source');
+  }
+
+  const data = JSON.parse(await fs.readFile(eventsFile, 'utf8'));
+  const events = Array.isArray(data) ? data : data.events;
+  if (!Array.isArray(events)) {
+    throw new Error(`${eventsFile} does not contain a list of TokenMinted events`);
+  }
+
+  const minted = new Map();
+  events.forEach((event, index) => {
+    const args = event.args || event;
+    const tokenId = Number(args.tokenId);
+    const clan = Number(args.clan);
+    const rarity = Number(args.rarity);
+
+    if (!Number.isInteger(tokenId) || tokenId < 1) {
+      throw new Error(`Event ${index}: invalid tokenId ${args.tokenId}`);
+    }
+    if (!Number.isInteger(rarity) || rarity < 0 || rarity >= rarities.length) {
+      throw new Error(`Event ${index}: invalid rarity ${args.rarity} for token ${tokenId}`);
+    }
+    if (minted.has(tokenId) && minted.get(tokenId).rarity !== rarity) {
+      throw new Error(`Token ${tokenId} appears twice with different rarities`);
+    }
+    minted.set(tokenId, { clan, rarity });
+  });
+
+  return {
+    name: 'events',
+    eventsFile,
+    minted,
+    rarityOf(tokenId) {
+      return minted.has(tokenId) ? minted.get(tokenId).rarity : null;
+    },
+    clanOf(tokenId) {
+      return minted.has(tokenId) ? minted.get(tokenId).clan : null;
+    }
+  };
+}
+
+/**
+ * Build a rarity source
+ * @param {Object} options
+ * @param {string} options.source - hash | seed | events
+ * @param {string} [options.seed] - committed seed for the seed source
+ * @param {string} [options.eventsFile] - TokenMinted export for the events source
+ * @param {Array} options.rarities - tiers in contract order, with weights
+ */
+async function loadRaritySource({ source = 'hash', seed, eventsFile, rarities }) {
+  switch (source) {
+    case 'hash':
+      return hashSource(rarities);
+    case 'seed':
+      return seedSource(seed, rarities);
+    case 'events':
+      return eventsSource(eventsFile, rarities);
+    default:
+      throw new Error(`Unknown rarity source "${source}" (expected ${RARITY_SOURCES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  RARITY_SOURCES,
+  rollThresholds,
+  tierFromRoll,
+  checkContractThresholds,
+  hashSource,
+  seedSource,
+  loadRaritySource
+};
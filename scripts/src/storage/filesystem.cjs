@@ -0,0 +1,35 @@
+// storage/filesystem.cjs
+// Plain directory output laid out like a gateway (<dir>/ipfs/<cid>), for rehearsals without any network
+
+const fs = require('fs').promises;
+const path = require('path');
+const { computeDirectoryCid, computeDirectoryCidFromDisk } = require('../ipfs-cid.cjs');
+
+class FilesystemStorage {
+  constructor({ storageDir = path.join(process.cwd(), 'metadata', 'storage') }) {
+    this.name = 'filesystem';
+    this.contentAddressed = true;
+    this.root = path.join(storageDir, 'ipfs');
+  }
+
+  async uploadFile(filePath) {
+    const content = await fs.readFile(filePath);
+    const { files } = await computeDirectoryCid([{ path: path.basename(filePath), content }]);
+    const cid = files[0].cid;
+
+    await fs.mkdir(this.root, { recursive: true });
+    await fs.writeFile(path.join(this.root, cid), content);
+    return { id: cid, uri: `ipfs://${cid}` };
+  }
+
+  async uploadDirectory(dirPath) {
+    const { cid } = await computeDirectoryCidFromDisk(dirPath);
+    const target = path.join(this.root, cid);
+
+    await fs.rm(target, { recursive: true, force: true });
+    await fs.cp(dirPath, target, { recursive: true });
+    return { id: cid, baseUri: `ipfs://${cid}/` };
+  }
+}
+
+module.exports = FilesystemStorage;
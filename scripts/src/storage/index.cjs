@@ -0,0 +1,32 @@
+// storage/index.cjs
+// Storage providers behind the metadata generator's uploads
+//
+// Every provider implements:
+//   name                                  - provider id, recorded in the upload journal
+//   contentAddressed                      - true when ids are IPFS CIDs that can be checked offline
+//   uploadFile(filePath, { name, label })     -> { id, uri }
+//   uploadDirectory(dirPath, { name, label }) -> { id, baseUri }  (baseUri ends with '/')
+// name is the object/folder name, label a human-readable description
+
+const STORAGE_PROVIDERS = {
+  pinata: () => require('./pinata.cjs'),
+  ipfs: () => require('./ipfs.cjs'),
+  filesystem: () => require('./filesystem.cjs'),
+  s3: () => require('./s3.cjs')
+};
+
+/**
+ * Create a provider by name; its client library is only loaded here, so runs
+ * that never upload need neither credentials nor the SDK
+ */
+function createStorageProvider(name, options = {}) {
+  const load = STORAGE_PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown storage provider "${name}" (expected ${Object.keys(STORAGE_PROVIDERS).join(', ')})`);
+  }
+
+  const Provider = load();
+  return new Provider(options);
+}
+
+module.exports = { STORAGE_PROVIDERS: Object.keys(STORAGE_PROVIDERS), createStorageProvider };
@@ -0,0 +1,60 @@
+// storage/ipfs.cjs
+// Any node exposing the Kubo HTTP API (a local daemon, a CI container, ...)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { UNIXFS_OPTIONS } = require('../ipfs-cid.cjs');
+
+class IpfsStorage {
+  constructor({ ipfsApiUrl = 'http://127.0.0.1:5001' }) {
+    this.name = 'ipfs';
+    this.contentAddressed = true;
+    this.apiUrl = ipfsApiUrl;
+    this.client = null;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      // ipfs-http-client is ESM-only
+      const { create } = await import('ipfs-http-client');
+      this.client = create({ url: this.apiUrl });
+    }
+    return this.client;
+  }
+
+  async uploadFile(filePath) {
+    const ipfs = await this.getClient();
+    const result = await ipfs.add(await fs.readFile(filePath), { ...UNIXFS_OPTIONS, pin: true });
+    const cid = result.cid.toString();
+    return { id: cid, uri: `ipfs://${cid}` };
+  }
+
+  async uploadDirectory(dirPath) {
+    const cid = await this.addDirectory(dirPath, { pin: true });
+    return { id: cid, baseUri: `ipfs://${cid}/` };
+  }
+
+  /**
+   * Root CID as the node computes it, without storing anything
+   */
+  async hashDirectory(dirPath) {
+    return this.addDirectory(dirPath, { onlyHash: true });
+  }
+
+  async addDirectory(dirPath, options) {
+    const ipfs = await this.getClient();
+    const names = (await fs.readdir(dirPath)).sort();
+    const files = await Promise.all(names.map(async name => ({
+      path: name,
+      content: await fs.readFile(path.join(dirPath, name))
+    })));
+
+    let root;
+    for await (const entry of ipfs.addAll(files, { ...UNIXFS_OPTIONS, wrapWithDirectory: true, ...options })) {
+      root = entry;
+    }
+    return root.cid.toString();
+  }
+}
+
+module.exports = IpfsStorage;
@@ -0,0 +1,39 @@
+// storage/pinata.cjs
+// Pinata pinning service
+
+const fs = require('fs');
+const { UNIXFS_OPTIONS } = require('../ipfs-cid.cjs');
+
+class PinataStorage {
+  constructor({ pinataApiKey, pinataSecretKey }) {
+    if (!pinataApiKey || !pinataSecretKey) {
+      throw new Error('PINATA_API_KEY and PINATA_SECRET_KEY are required for the pinata storage provider');
+    }
+
+    const pinataSDK = require('@pinata/sdk');
+    this.name = 'pinata';
+    this.contentAddressed = true;
+    this.client = pinataSDK(pinataApiKey, pinataSecretKey);
+  }
+
+  async uploadFile(filePath, { name, label = name }) {
+    const result = await this.client.pinFileToIPFS(fs.createReadStream(filePath), {
+      pinataMetadata: { name: label },
+      pinataOptions: { cidVersion: UNIXFS_OPTIONS.cidVersion }
+    });
+    return { id: result.IpfsHash, uri: `ipfs://${result.IpfsHash}` };
+  }
+
+  /**
+   * pinFromFS pins the folder itself, so its files sit directly under the root CID
+   */
+  async uploadDirectory(dirPath, { name, label = name }) {
+    const result = await this.client.pinFromFS(dirPath, {
+      pinataMetadata: { name: label },
+      pinataOptions: { cidVersion: UNIXFS_OPTIONS.cidVersion }
+    });
+    return { id: result.IpfsHash, baseUri: `ipfs://${result.IpfsHash}/`, size: result.PinSize };
+  }
+}
+
+module.exports = PinataStorage;
@@ -0,0 +1,110 @@
+// storage/s3.cjs
+// S3-compatible object storage (AWS S3, MinIO, R2, ...)
+// Credentials come from the usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY environment
+
+const fs = require('fs').promises;
+const path = require('path');
+const { mapWithConcurrency } = require('../upload-journal.cjs');
+
+// DeleteObjects takes at most this many keys per request
+const DELETE_BATCH = 1000;
+
+class S3Storage {
+  constructor({ s3Bucket, s3Endpoint, s3Region = 'us-east-1', s3Prefix = '', s3PublicUrl, uploadConcurrency = 8 }) {
+    if (!s3Bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage provider');
+    }
+
+    const { S3Client } = require('@aws-sdk/client-s3');
+    this.name = 's3';
+    this.contentAddressed = false;
+    this.bucket = s3Bucket;
+    this.prefix = s3Prefix.replace(/^\/+|\/+$/g, '');
+    this.concurrency = uploadConcurrency;
+    this.client = new S3Client({
+      region: s3Region,
+      ...(s3Endpoint && { endpoint: s3Endpoint, forcePathStyle: true })
+    });
+
+    // Without a public URL, fall back to path-style addressing on the endpoint
+    const base = s3PublicUrl || (s3Endpoint
+      ? `${s3Endpoint.replace(/\/+$/, '')}/${s3Bucket}`
+      : `https://${s3Bucket}.s3.${s3Region}.amazonaws.com`);
+    this.publicUrl = base.replace(/\/+$/, '');
+  }
+
+  key(...parts) {
+    return [this.prefix, ...parts].filter(Boolean).join('/');
+  }
+
+  async uploadFile(filePath, { name = path.basename(filePath) } = {}) {
+    const key = this.key('images', name);
+    await this.putObject(key, await fs.readFile(filePath));
+    return { id: key, uri: `${this.publicUrl}/${key}` };
+  }
+
+  /**
+   * Upload every file under <prefix>/<name>/, then delete keys left there by
+   * earlier uploads so the folder holds exactly the directory's files
+   */
+  async uploadDirectory(dirPath, { name = path.basename(dirPath) } = {}) {
+    const names = (await fs.readdir(dirPath)).sort();
+    await mapWithConcurrency(names, this.concurrency, async fileName => {
+      await this.putObject(this.key(name, fileName), await fs.readFile(path.join(dirPath, fileName)));
+    });
+
+    const key = this.key(name);
+    const current = new Set(names.map(fileName => this.key(name, fileName)));
+    const stale = (await this.listKeys(`${key}/`)).filter(existing => !current.has(existing));
+    await this.deleteKeys(stale);
+
+    return { id: key, baseUri: `${this.publicUrl}/${key}/`, removed: stale.length };
+  }
+
+  async listKeys(prefix) {
+    const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    const keys = [];
+    let ContinuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({ Bucket: this.bucket, Prefix: prefix, ContinuationToken }));
+      (page.Contents || []).forEach(object => keys.push(object.Key));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return keys;
+  }
+
+  async deleteKeys(keys) {
+    const { DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+
+    for (let start = 0; start < keys.length; start += DELETE_BATCH) {
+      const batch = keys.slice(start, start + DELETE_BATCH);
+      const result = await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+      }));
+      if (result.Errors?.length) {
+        throw new Error(`Could not delete ${result.Errors.length} stale objects, e.g. ${result.Errors[0].Key}: ${result.Errors[0].Message}`);
+      }
+    }
+  }
+
+  async putObject(key, body) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType(key)
+    }));
+  }
+}
+
+function contentType(key) {
+  if (key.endsWith('.json')) return 'application/json';
+  if (key.endsWith('.png')) return 'image/png';
+  return 'application/octet-stream';
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,193 @@
+// upload-journal.cjs
+// Resumable upload bookkeeping: what has been pinned, with which content, and helpers to pin the rest
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const JOURNAL_VERSION = 1;
+
+/**
+ * Journal of pinned content, keyed by section ("images", "metadata", ...)
+ * and entry key (usually the token ID). An entry is only reused when the
+ * content hash still matches, so edited files are uploaded again.
+ */
+class UploadJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = { version: JOURNAL_VERSION, updatedAt: null };
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      this.state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this;
+  }
+
+  get(section, key) {
+    return this.state[section]?.[key] || null;
+  }
+
+  /**
+   * Entry for key if it was stored by this provider from content with this hash
+   * (entries written before storage providers existed have no provider and
+   * a cid instead of an id; they all came from Pinata)
+   */
+  findPinned(section, key, contentHash, provider = 'pinata') {
+    const entry = this.get(section, key);
+    if (!entry || entry.contentHash !== contentHash || (entry.provider || 'pinata') !== provider) {
+      return null;
+    }
+    return entry.id || entry.cid ? entry : null;
+  }
+
+  /**
+   * Record an entry and persist the journal straight away
+   */
+  record(section, key, entry) {
+    this.state[section] = this.state[section] || {};
+    this.state[section][key] = { ...entry, pinnedAt: new Date().toISOString() };
+    return this.save();
+  }
+
+  /**
+   * Writes are chained so concurrent uploads never interleave on disk,
+   * and each write goes through a temp file so a crash cannot truncate it.
+   * A failed write is logged rather than thrown: every write carries the
+   * whole journal, so the next one makes up for it
+   */
+  save() {
+    this.writing = this.writing.then(async () => {
+      this.state.updatedAt = new Date().toISOString();
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(this.state, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    }).catch(error => {
+      console.warn(`⚠️  Could not save ${this.filePath}: ${error.message}`);
+    });
+    return this.writing;
+  }
+}
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Run fn over items with at most `limit` in flight; resolves to results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Pinning services report rate limits in several shapes (HTTP status,
+ * error objects, plain strings), so look at all of them
+ */
+function isRetryableError(error) {
+  const status = error?.response?.status || error?.status || error?.statusCode;
+  if (status === 429 || status >= 500) {
+    return true;
+  }
+  if (['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'].includes(error?.code)) {
+    return true;
+  }
+
+  const text = typeof error === 'string' ? error : `${error?.message || ''} ${error?.reason || ''} ${JSON.stringify(error?.details || '')}`;
+  return /429|rate.?limit|too many requests/i.test(text);
+}
+
+/**
+ * Readable message for the assorted error shapes pinning services reject with
+ */
+function describeError(error) {
+  if (typeof error === 'string') return error;
+  if (error?.message) return error.message;
+  if (error?.reason) return error.reason;
+  return JSON.stringify(error);
+}
+
+/**
+ * Retry fn with exponential backoff and jitter while the error is retryable
+ */
+async function withRetry(fn, { retries = 5, baseDelayMs = 1000, maxDelayMs = 30000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      onRetry?.(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Parse "--only 1,5,10-12" into sorted token IDs
+ */
+function parseTokenIds(value, max) {
+  const ids = new Set();
+
+  String(value).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid token ID or range: ${part}`);
+    }
+
+    const from = Number(match[1]);
+    const to = Number(match[2] ?? match[1]);
+    if (from < 1 || to > max || from > to) {
+      throw new Error(`Token range ${part} is outside 1-${max}`);
+    }
+    for (let id = from; id <= to; id++) {
+      ids.add(id);
+    }
+  });
+
+  return [...ids].sort((a, b) => a - b);
+}
+
+/**
+ * Inverse of parseTokenIds: [1, 2, 3, 7] -> "1-3, 7"
+ */
+function formatTokenIds(ids) {
+  const sorted = [...ids].sort((a, b) => a - b);
+  const parts = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const from = sorted[i];
+    while (sorted[i + 1] === sorted[i] + 1) i++;
+    parts.push(from === sorted[i] ? `${from}` : `${from}-${sorted[i]}`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  UploadJournal,
+  contentHash,
+  mapWithConcurrency,
+  isRetryableError,
+  describeError,
+  withRetry,
+  parseTokenIds,
+  formatTokenIds
+};
@@ -0,0 +1,1113 @@
+// whitelist-generator.cjs
+// KOL Whitelist Management System for Bushido NFT
+
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ZERO_ADDRESS, isAddressFormat, hasValidChecksum } = require('./eth-address.cjs');
+const { parseKOLFile } = require('./whitelist-import.cjs');
+const { LEAF_VERSION, leafEncoding, encodeLeaf } = require('./whitelist-leaf.cjs');
+const { loadCollectionConfig } = require('./collection-config.cjs');
+
+/**
+ * Whitelist Generator for KOL Distribution
+ * Manages early access for influencers and strategic partners
+ */
+class BushidoWhitelistManager {
+  constructor(options = {}) {
+    // Tiers and mint limits come from config/collection.json
+    const collection = options.collection || loadCollectionConfig(options.collectionConfig);
+    
+    this.whitelistPath = path.join(process.cwd(), 'whitelist');
+    this.actor = process.env.WHITELIST_ACTOR || os.userInfo().username;
+    this.limits = {
+      totalSupply: collection.supply.totalSupply,
+      maxWhitelistMint: collection.whitelist.maxWhitelistMint, // BushidoNFT.MAX_WHITELIST_MINT
+      maxSupplyShare: collection.whitelist.maxSupplyShare, // whitelist may claim at most this share of supply
+      ...options.limits
+    };
+    this.knownContracts = [
+      ...(options.knownContracts || []),
+      ...(process.env.CONTRACT_ADDRESS ? [process.env.CONTRACT_ADDRESS] : [])
+    ];
+    this.kolCategories = collection.whitelist.tiers;
+  }
+
+  /**
+   * Initialize whitelist directory structure
+   */
+  async initialize() {
+    await fs.mkdir(this.whitelistPath, { recursive: true });
+    await fs.mkdir(path.join(this.whitelistPath, 'snapshots'), { recursive: true });
+    console.log('✅ Whitelist directory initialized');
+  }
+
+  /**
+   * Add KOL to whitelist
+   */
+  async addKOL(address, tier, details = {}) {
+    const kolData = this.buildKOLEntry(address, tier, details);
+
+    // Load existing whitelist
+    const whitelist = await this.loadWhitelist();
+    
+    // Insert, or merge into the existing entry for this address
+    const { previous, entry } = this.upsertKOL(whitelist, kolData);
+    if (previous) {
+      console.log(`📝 Updated existing KOL: ${address}`);
+    } else {
+      console.log(`✅ Added new KOL: ${address} (${tier})`);
+    }
+
+    // Save updated whitelist
+    await this.saveWhitelist(whitelist);
+    await this.appendAudit([this.auditEntry(previous ? 'update' : 'add', previous, entry)]);
+    return entry;
+  }
+
+  /**
+   * Add multiple KOLs from CSV or array
+   * The whole batch is written in a single save
+   */
+  async addBulkKOLs(kolList) {
+    console.log(`📋 Adding ${kolList.length} KOLs to whitelist...`);
+    
+    const whitelist = await this.loadWhitelist();
+    const counts = { added: 0, updated: 0 };
+    const auditEntries = [];
+
+    for (const kol of kolList) {
+      const kolData = this.buildKOLEntry(kol.address, kol.tier, {
+        name: kol.name,
+        twitter: kol.twitter,
+        discord: kol.discord,
+        notes: kol.notes
+      });
+      const { previous, entry } = this.upsertKOL(whitelist, kolData);
+      counts[previous ? 'updated' : 'added']++;
+      auditEntries.push(this.auditEntry(previous ? 'update' : 'add', previous, entry));
+    }
+    
+    await this.saveWhitelist(whitelist);
+    await this.appendAudit(auditEntries);
+    console.log(`✅ Bulk addition complete (${counts.added} added, ${counts.updated} updated)`);
+    return counts;
+  }
+
+  /**
+   * Remove KOL from whitelist
+   */
+  async removeKOL(address, { reason } = {}) {
+    const whitelist = await this.loadWhitelist();
+    const normalizedAddress = address.toLowerCase();
+    const existing = whitelist.find(kol => kol.address === normalizedAddress);
+
+    if (!existing) {
+      throw new Error(`Address ${address} not found in whitelist`);
+    }
+
+    await this.saveWhitelist(whitelist.filter(kol => kol.address !== normalizedAddress));
+    await this.appendAudit([this.auditEntry('remove', existing, null, reason)]);
+
+    console.log(`🗑️  Removed KOL: ${address} (${existing.tier})`);
+    return existing;
+  }
+
+  /**
+   * Move a KOL to another tier (allocation follows the tier), optionally updating notes
+   */
+  async setTier(address, tier, { notes } = {}) {
+    if (!this.kolCategories[tier]) {
+      throw new Error(`Invalid tier: ${tier}`);
+    }
+
+    const whitelist = await this.loadWhitelist();
+    const normalizedAddress = address.toLowerCase();
+    const index = whitelist.findIndex(kol => kol.address === normalizedAddress);
+
+    if (index < 0) {
+      throw new Error(`Address ${address} not found in whitelist`);
+    }
+
+    const previous = whitelist[index];
+    const updated = {
+      ...previous,
+      tier,
+      allocation: this.kolCategories[tier].allocation,
+      ...(notes !== undefined && { notes }),
+      updatedDate: new Date().toISOString()
+    };
+    whitelist[index] = updated;
+
+    await this.saveWhitelist(whitelist);
+    await this.appendAudit([this.auditEntry('set-tier', previous, updated)]);
+
+    console.log(`📝 ${address}: ${previous.tier} → ${tier} (allocation ${updated.allocation})`);
+    return updated;
+  }
+
+  /**
+   * Look up one KOL with its Merkle proof status and change history
+   */
+  async getKOL(address) {
+    const normalizedAddress = address.toLowerCase();
+    const whitelist = await this.loadWhitelist();
+    const entry = whitelist.find(kol => kol.address === normalizedAddress) || null;
+
+    let inMerkleTree = false;
+    try {
+      const merkleData = await this.loadMerkleData();
+      inMerkleTree = Boolean(merkleData.proofs[normalizedAddress]);
+    } catch {
+      // No tree generated yet
+    }
+
+    const history = (await this.loadAudit()).filter(record => record.address === normalizedAddress);
+    return { entry, inMerkleTree, history };
+  }
+
+  /**
+   * List KOLs, optionally for a single tier
+   */
+  async listKOLs({ tier } = {}) {
+    if (tier && !this.kolCategories[tier]) {
+      throw new Error(`Invalid tier: ${tier}`);
+    }
+
+    const whitelist = await this.loadWhitelist();
+    return tier ? whitelist.filter(kol => kol.tier === tier) : whitelist;
+  }
+
+  /**
+   * Import KOLs from a CSV or JSON file
+   * Dry run unless apply is set; any invalid row blocks the whole import
+   */
+  async importKOLs(filePath, { apply = false } = {}) {
+    const rows = await parseKOLFile(filePath);
+    const errors = this.validateImportRows(rows);
+
+    if (errors.length > 0) {
+      console.log(`❌ ${errors.length} invalid row(s) in ${filePath}:`);
+      errors.forEach(error => console.log(`   - line ${error.line}: ${error.message}`));
+      return { applied: false, rows: rows.length, errors };
+    }
+
+    const whitelist = await this.loadWhitelist();
+    const existing = new Set(whitelist.map(kol => kol.address));
+    const toAdd = rows.filter(row => !existing.has(row.data.address.toLowerCase()));
+    const toUpdate = rows.length - toAdd.length;
+
+    console.log(`📋 ${rows.length} valid row(s): ${toAdd.length} new, ${toUpdate} existing to update`);
+
+    if (!apply) {
+      toAdd.forEach(row => console.log(`   + ${row.data.address} (${row.data.tier})`));
+      console.log('ℹ️  Dry run only. Re-run with --apply to write whitelist.json');
+      return { applied: false, rows: rows.length, errors };
+    }
+
+    await this.addBulkKOLs(rows.map(row => row.data));
+    return { applied: true, rows: rows.length, errors };
+  }
+
+  /**
+   * Check parsed import rows; returns [{ line, message }]
+   */
+  validateImportRows(rows) {
+    const errors = [];
+    const seen = new Map();
+
+    for (const { line, data } of rows) {
+      if (!data.address) {
+        errors.push({ line, message: 'Missing address' });
+        continue;
+      }
+      // JSON entries can carry any type; CSV cells are always strings
+      const nonStrings = Object.keys(data).filter(column => typeof data[column] !== 'string');
+      if (nonStrings.length > 0) {
+        nonStrings.forEach(column => errors.push({ line, message: `${column} must be a string: ${JSON.stringify(data[column])}` }));
+        continue;
+      }
+      if (!isAddressFormat(data.address)) {
+        errors.push({ line, message: `Invalid address format: ${data.address}` });
+      } else if (!hasValidChecksum(data.address)) {
+        errors.push({ line, message: `Address fails EIP-55 checksum: ${data.address}` });
+      } else if (data.address.toLowerCase() === ZERO_ADDRESS) {
+        errors.push({ line, message: 'The zero address cannot be whitelisted' });
+      }
+      if (!this.kolCategories[data.tier]) {
+        errors.push({ line, message: `Invalid tier: ${data.tier || '(empty)'}` });
+      }
+
+      const normalizedAddress = data.address.toLowerCase();
+      if (seen.has(normalizedAddress)) {
+        errors.push({ line, message: `Duplicate of line ${seen.get(normalizedAddress)}: ${data.address}` });
+      } else {
+        seen.set(normalizedAddress, line);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Generate Merkle tree for on-chain verification
+   * Leaves commit to each address's allocation and, optionally, a mint phase
+   */
+  async generateMerkleTree({ phaseId = null } = {}) {
+    // BushidoNFT.whitelistPhaseId uses 0 for leaves without a phase
+    if (phaseId !== null && (!Number.isInteger(phaseId) || phaseId < 1)) {
+      throw new Error(`Phase must be a positive integer, got ${phaseId}`);
+    }
+
+    const whitelist = await this.loadWhitelist();
+    
+    // Create leaves from address + allocation (+ phase) and build the tree
+    const { tree, leaves } = this.buildMerkleTree(whitelist, phaseId);
+    const root = tree.getHexRoot();
+    
+    // Generate proofs for each address
+    const proofs = {};
+    whitelist.forEach((kol, index) => {
+      const proof = tree.getHexProof(leaves[index]);
+      proofs[kol.address] = {
+        proof,
+        allocation: kol.allocation,
+        tier: kol.tier
+      };
+    });
+    
+    // Save merkle data
+    const merkleData = {
+      root,
+      leafVersion: LEAF_VERSION,
+      leafEncoding: leafEncoding(phaseId),
+      phaseId,
+      totalAddresses: whitelist.length,
+      generatedAt: new Date().toISOString(),
+      proofs
+    };
+    
+    await fs.writeFile(
+      path.join(this.whitelistPath, 'merkle-tree.json'),
+      JSON.stringify(merkleData, null, 2)
+    );
+    
+    console.log('🌳 Merkle tree generated');
+    console.log('📍 Root:', root);
+    console.log('🧬 Leaf:', merkleData.leafEncoding, phaseId !== null ? `(phase ${phaseId})` : '');
+    console.log('📊 Total addresses:', whitelist.length);
+    
+    return merkleData;
+  }
+
+  /**
+   * Check a proof against the generated root, the way the contract would
+   */
+  async verifyProof(address, allocation, proof) {
+    const merkleData = await this.loadMerkleData();
+
+    if (merkleData.leafVersion !== LEAF_VERSION) {
+      throw new Error(
+        `merkle-tree.json uses leaf version ${merkleData.leafVersion || 1}; regenerate it first`
+      );
+    }
+
+    const leaf = encodeLeaf(address.toLowerCase(), allocation, merkleData.phaseId ?? null);
+    return MerkleTree.verify(proof, leaf, merkleData.root, keccak256, { sortPairs: true });
+  }
+
+  /**
+   * Generate proof for specific address
+   */
+  async getProof(address) {
+    const merkleData = await this.loadMerkleData();
+    const normalizedAddress = address.toLowerCase();
+    
+    if (!merkleData.proofs[normalizedAddress]) {
+      throw new Error(`Address ${address} not found in whitelist`);
+    }
+    
+    return merkleData.proofs[normalizedAddress];
+  }
+
+  /**
+   * Create snapshot of current whitelist
+   */
+  async createSnapshot(name = null) {
+    const whitelist = await this.loadWhitelist();
+    const snapshotName = name || `snapshot-${Date.now()}`;
+    
+    const snapshot = {
+      name: snapshotName,
+      timestamp: new Date().toISOString(),
+      totalAddresses: whitelist.length,
+      breakdown: this.getWhitelistBreakdown(whitelist),
+      addresses: whitelist
+    };
+    
+    await fs.writeFile(
+      path.join(this.whitelistPath, 'snapshots', `${snapshotName}.json`),
+      JSON.stringify(snapshot, null, 2)
+    );
+    
+    console.log(`📸 Snapshot created: ${snapshotName}`);
+    return snapshot;
+  }
+
+  /**
+   * Compare two snapshots, or a snapshot against the current whitelist
+   */
+  async diffSnapshots(snapshotA, snapshotB = null) {
+    const before = await this.loadSnapshot(snapshotA);
+    const after = snapshotB
+      ? await this.loadSnapshot(snapshotB)
+      : { name: 'current', addresses: await this.loadWhitelist() };
+
+    const diff = {
+      from: before.name,
+      to: after.name,
+      ...this.diffWhitelists(before.addresses, after.addresses)
+    };
+
+    // The live tree should describe the current list
+    if (!snapshotB) {
+      diff.merkleRoot = await this.checkMerkleRoot();
+    }
+
+    return diff;
+  }
+
+  /**
+   * Addresses added, removed, or with a changed tier/allocation between two lists
+   */
+  diffWhitelists(before, after) {
+    const beforeMap = new Map(before.map(kol => [kol.address.toLowerCase(), kol]));
+    const afterMap = new Map(after.map(kol => [kol.address.toLowerCase(), kol]));
+
+    const added = after.filter(kol => !beforeMap.has(kol.address.toLowerCase()));
+    const removed = before.filter(kol => !afterMap.has(kol.address.toLowerCase()));
+    const changed = [];
+
+    for (const [address, previous] of beforeMap) {
+      const current = afterMap.get(address);
+      if (!current) continue;
+
+      const changes = {};
+      for (const field of ['tier', 'allocation']) {
+        if (previous[field] !== current[field]) {
+          changes[field] = { from: previous[field], to: current[field] };
+        }
+      }
+      if (Object.keys(changes).length > 0) {
+        changed.push({ address, changes });
+      }
+    }
+
+    return {
+      added,
+      removed,
+      changed,
+      unchanged: afterMap.size - added.length - changed.length
+    };
+  }
+
+  /**
+   * Rebuild the root from whitelist.json and compare it with merkle-tree.json
+   */
+  async checkMerkleRoot() {
+    let merkleData;
+    try {
+      merkleData = await this.loadMerkleData();
+    } catch (error) {
+      const reason = error.code === 'ENOENT'
+        ? 'merkle-tree.json not found'
+        : `merkle-tree.json cannot be read: ${error.message}`;
+      return { matches: false, storedRoot: null, computedRoot: null, reason };
+    }
+    if (typeof merkleData?.root !== 'string' || typeof merkleData.proofs !== 'object' || !merkleData.proofs) {
+      return {
+        matches: false,
+        storedRoot: typeof merkleData?.root === 'string' ? merkleData.root : null,
+        computedRoot: null,
+        reason: 'merkle-tree.json has no root or proofs; regenerate it'
+      };
+    }
+
+    const whitelist = await this.loadWhitelist();
+    const { tree } = this.buildMerkleTree(whitelist, merkleData.phaseId ?? null);
+    const computedRoot = tree.getHexRoot();
+
+    const treeAddresses = new Set(Object.keys(merkleData.proofs));
+    const listAddresses = new Set(whitelist.map(kol => kol.address));
+
+    const result = {
+      matches: computedRoot === merkleData.root,
+      storedRoot: merkleData.root,
+      computedRoot,
+      generatedAt: merkleData.generatedAt,
+      missingFromTree: [...listAddresses].filter(address => !treeAddresses.has(address)),
+      notInWhitelist: [...treeAddresses].filter(address => !listAddresses.has(address))
+    };
+
+    if (merkleData.leafVersion !== LEAF_VERSION) {
+      result.matches = false;
+      result.reason = `merkle-tree.json uses leaf version ${merkleData.leafVersion || 1}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Replace the whitelist with a snapshot's addresses
+   * The current list is snapshotted first so the restore can be undone
+   */
+  async restoreSnapshot(name) {
+    const snapshot = await this.loadSnapshot(name);
+    const current = await this.loadWhitelist();
+    const diff = this.diffWhitelists(current, snapshot.addresses);
+
+    const backup = await this.createSnapshot(`pre-restore-${Date.now()}`);
+    await this.saveWhitelist(snapshot.addresses);
+
+    const reason = `restore ${snapshot.name}`;
+    const currentMap = new Map(current.map(kol => [kol.address, kol]));
+    const restoredMap = new Map(snapshot.addresses.map(kol => [kol.address, kol]));
+
+    await this.appendAudit([
+      ...diff.added.map(kol => this.auditEntry('add', null, kol, reason)),
+      ...diff.removed.map(kol => this.auditEntry('remove', kol, null, reason)),
+      ...diff.changed.map(({ address }) =>
+        this.auditEntry('update', currentMap.get(address), restoredMap.get(address), reason)
+      )
+    ]);
+
+    console.log(`♻️  Restored ${snapshot.name} (${snapshot.addresses.length} addresses)`);
+    console.log(`📸 Previous list saved as ${backup.name}`);
+    console.log('⚠️  Regenerate the Merkle tree before publishing a root');
+    return { snapshot: snapshot.name, backup: backup.name, diff };
+  }
+
+  formatDiff(diff) {
+    const lines = [`Whitelist diff: ${diff.from} → ${diff.to}`, ''];
+
+    diff.added.forEach(kol => lines.push(`+ ${kol.address}  ${kol.tier}  (allocation ${kol.allocation})`));
+    diff.removed.forEach(kol => lines.push(`- ${kol.address}  ${kol.tier}  (allocation ${kol.allocation})`));
+    diff.changed.forEach(({ address, changes }) => {
+      const summary = Object.entries(changes)
+        .map(([field, { from, to }]) => `${field} ${from} → ${to}`)
+        .join(', ');
+      lines.push(`~ ${address}  ${summary}`);
+    });
+
+    lines.push('');
+    lines.push(
+      `${diff.added.length} added, ${diff.removed.length} removed, ` +
+      `${diff.changed.length} changed, ${diff.unchanged} unchanged`
+    );
+
+    if (diff.merkleRoot) {
+      const root = diff.merkleRoot;
+      lines.push('');
+      if (root.matches) {
+        lines.push(`🌳 merkle-tree.json root matches the current whitelist (${root.storedRoot})`);
+      } else {
+        lines.push('⚠️  merkle-tree.json does not match the current whitelist');
+        if (root.reason) lines.push(`   ${root.reason}`);
+        if (root.storedRoot) lines.push(`   stored:   ${root.storedRoot}`);
+        if (root.computedRoot) lines.push(`   computed: ${root.computedRoot}`);
+        root.missingFromTree?.forEach(address => lines.push(`   not in tree: ${address}`));
+        root.notInWhitelist?.forEach(address => lines.push(`   not in whitelist: ${address}`));
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Generate whitelist report
+   */
+  async generateReport() {
+    const whitelist = await this.loadWhitelist();
+    const breakdown = this.getWhitelistBreakdown(whitelist);
+    
+    const report = {
+      summary: {
+        totalAddresses: whitelist.length,
+        totalAllocation: whitelist.reduce((sum, kol) => sum + kol.allocation, 0),
+        generatedAt: new Date().toISOString()
+      },
+      breakdown,
+      recentAdditions: whitelist
+        .sort((a, b) => new Date(b.addedDate) - new Date(a.addedDate))
+        .slice(0, 10)
+    };
+    
+    await fs.writeFile(
+      path.join(this.whitelistPath, 'whitelist-report.json'),
+      JSON.stringify(report, null, 2)
+    );
+    
+    // Generate human-readable report
+    const readableReport = this.formatReadableReport(report);
+    await fs.writeFile(
+      path.join(this.whitelistPath, 'whitelist-report.md'),
+      readableReport
+    );
+    
+    console.log('📊 Report generated');
+    return report;
+  }
+
+  /**
+   * Verify whitelist integrity
+   */
+  async verifyWhitelist() {
+    const whitelist = await this.loadWhitelist();
+    const issues = [];
+    const seen = new Set();
+    const blocked = await this.loadBlockedAddresses();
+    
+    for (const kol of whitelist) {
+      const normalizedAddress = String(kol.address).toLowerCase();
+
+      // Check for duplicates
+      if (seen.has(normalizedAddress)) {
+        issues.push(`Duplicate address: ${kol.address}`);
+      }
+      seen.add(normalizedAddress);
+      
+      // Validate address format and EIP-55 checksum
+      if (!isAddressFormat(kol.address)) {
+        issues.push(`Invalid address format: ${kol.address}`);
+      } else if (!hasValidChecksum(kol.address)) {
+        issues.push(`Address fails EIP-55 checksum: ${kol.address}`);
+      }
+
+      // Zero address and contracts cannot mint
+      if (normalizedAddress === ZERO_ADDRESS) {
+        issues.push('Zero address is whitelisted');
+      } else if (blocked.has(normalizedAddress)) {
+        issues.push(`Known contract address is whitelisted: ${kol.address}`);
+      }
+      
+      // Check tier validity
+      if (!this.kolCategories[kol.tier]) {
+        issues.push(`Invalid tier for ${kol.address}: ${kol.tier}`);
+      }
+
+      // Allocation must fit the contract's per-wallet whitelist cap
+      if (!Number.isInteger(kol.allocation) || kol.allocation < 1) {
+        issues.push(`Invalid allocation for ${kol.address}: ${kol.allocation}`);
+      } else if (kol.allocation > this.limits.maxWhitelistMint) {
+        issues.push(
+          `Allocation ${kol.allocation} for ${kol.address} exceeds the per-wallet cap of ${this.limits.maxWhitelistMint}`
+        );
+      }
+    }
+
+    // Total allocation against the configured share of supply
+    const totalAllocation = whitelist.reduce((sum, kol) => sum + (kol.allocation || 0), 0);
+    const maxAllocation = Math.floor(this.limits.totalSupply * this.limits.maxSupplyShare);
+    if (totalAllocation > maxAllocation) {
+      issues.push(
+        `Total allocation ${totalAllocation} exceeds ${this.limits.maxSupplyShare * 100}% of supply (${maxAllocation})`
+      );
+    }
+
+    issues.push(...(await this.checkMerkleFreshness(whitelist)));
+    
+    if (issues.length > 0) {
+      console.log('⚠️  Whitelist issues found:');
+      issues.forEach(issue => console.log(`   - ${issue}`));
+    } else {
+      console.log('✅ Whitelist verification passed');
+    }
+    
+    return { valid: issues.length === 0, issues };
+  }
+
+  /**
+   * merkle-tree.json must be newer than whitelist.json and built from the same entries
+   */
+  async checkMerkleFreshness(whitelist) {
+    const issues = [];
+    const treeFile = path.join(this.whitelistPath, 'merkle-tree.json');
+    const listFile = path.join(this.whitelistPath, 'whitelist.json');
+
+    let treeStat;
+    try {
+      treeStat = await fs.stat(treeFile);
+    } catch {
+      return whitelist.length > 0 ? ['merkle-tree.json has not been generated'] : [];
+    }
+
+    const listStat = await fs.stat(listFile).catch(() => null);
+    if (listStat && treeStat.mtimeMs < listStat.mtimeMs) {
+      issues.push('merkle-tree.json is older than whitelist.json');
+    }
+
+    const root = await this.checkMerkleRoot();
+    if (!root.computedRoot) {
+      // Unreadable or incomplete tree: there is nothing to compare entries against
+      issues.push(root.reason);
+      return issues;
+    }
+    if (root.reason) {
+      issues.push(root.reason);
+    }
+    root.missingFromTree.forEach(address => issues.push(`Not in merkle-tree.json: ${address}`));
+    root.notInWhitelist.forEach(address => issues.push(`In merkle-tree.json but not whitelisted: ${address}`));
+
+    const merkleData = await this.loadMerkleData();
+    for (const kol of whitelist) {
+      const entry = merkleData.proofs[kol.address];
+      if (entry && entry.allocation !== kol.allocation) {
+        issues.push(`Allocation for ${kol.address} is ${kol.allocation} but the tree has ${entry.allocation}`);
+      }
+    }
+
+    if (!root.matches && !root.reason && issues.length === 0) {
+      issues.push('merkle-tree.json root does not match whitelist.json');
+    }
+
+    return issues;
+  }
+
+  /**
+   * Contract addresses that must never be whitelisted:
+   * constructor/env entries plus whitelist/known-contracts.json
+   */
+  async loadBlockedAddresses() {
+    let listed = [];
+    try {
+      listed = JSON.parse(
+        await fs.readFile(path.join(this.whitelistPath, 'known-contracts.json'), 'utf8')
+      );
+    } catch {
+      // Optional file
+    }
+    return new Set([...this.knownContracts, ...listed].map(address => address.toLowerCase()));
+  }
+
+  /**
+   * Export whitelist for distribution
+   */
+  async exportForDistribution() {
+    const whitelist = await this.loadWhitelist();
+    const merkleData = await this.loadMerkleData();
+    const phaseId = merkleData.phaseId ?? null;
+
+    if (merkleData.leafVersion !== LEAF_VERSION) {
+      throw new Error(
+        `merkle-tree.json uses leaf version ${merkleData.leafVersion || 1}; regenerate it first`
+      );
+    }
+    // deploy-production.ts sets whitelistPhaseId from this file; a phased root without it rejects every proof
+    if (merkleData.leafEncoding !== leafEncoding(phaseId)) {
+      throw new Error(
+        `merkle-tree.json leaves are ${merkleData.leafEncoding} but its phase is ${phaseId ?? 'unset'}; regenerate it`
+      );
+    }
+    
+    // Create distribution package
+    const distribution = {
+      root: merkleData.root,
+      leafVersion: merkleData.leafVersion,
+      leafEncoding: merkleData.leafEncoding,
+      phaseId,
+      totalEligible: whitelist.length,
+      addresses: whitelist.map(kol => ({
+        address: kol.address,
+        allocation: kol.allocation,
+        proof: merkleData.proofs[kol.address].proof
+      }))
+    };
+    
+    // Save for frontend integration
+    await fs.writeFile(
+      path.join(this.whitelistPath, 'distribution.json'),
+      JSON.stringify(distribution, null, 2)
+    );
+    
+    // Create simple address list for contract deployment
+    const addressList = whitelist.map(kol => kol.address);
+    await fs.writeFile(
+      path.join(this.whitelistPath, 'addresses.json'),
+      JSON.stringify(addressList, null, 2)
+    );
+    
+    console.log('📦 Distribution package exported');
+    return distribution;
+  }
+
+  // Helper functions
+  
+  async loadWhitelist() {
+    try {
+      const data = await fs.readFile(
+        path.join(this.whitelistPath, 'whitelist.json'),
+        'utf8'
+      );
+      return JSON.parse(data);
+    } catch {
+      return [];
+    }
+  }
+
+  buildKOLEntry(address, tier, details = {}) {
+    if (!isAddressFormat(address)) {
+      throw new Error(`Invalid address format: ${address}`);
+    }
+    if (!hasValidChecksum(address)) {
+      throw new Error(`Address fails EIP-55 checksum: ${address}`);
+    }
+    if (address.toLowerCase() === ZERO_ADDRESS) {
+      throw new Error('The zero address cannot be whitelisted');
+    }
+
+    return {
+      address: address.toLowerCase(),
+      tier,
+      allocation: this.kolCategories[tier]?.allocation || 1,
+      addedDate: new Date().toISOString(),
+      ...details
+    };
+  }
+
+  /**
+   * Insert by address, or merge into the existing entry so its addedDate and
+   * any fields the new data leaves out are kept
+   * Returns the stored entry and the one it replaced, if any
+   */
+  upsertKOL(whitelist, kolData) {
+    const existingIndex = whitelist.findIndex(k => k.address === kolData.address);
+    if (existingIndex < 0) {
+      whitelist.push(kolData);
+      return { previous: null, entry: kolData };
+    }
+
+    const previous = whitelist[existingIndex];
+    const provided = Object.fromEntries(Object.entries(kolData).filter(([, value]) => value !== undefined));
+    const entry = {
+      ...previous,
+      ...provided,
+      addedDate: previous.addedDate,
+      updatedDate: new Date().toISOString()
+    };
+    whitelist[existingIndex] = entry;
+    return { previous, entry };
+  }
+
+  auditEntry(action, before, after, reason = undefined) {
+    return {
+      timestamp: new Date().toISOString(),
+      actor: this.actor,
+      action,
+      address: (after || before).address,
+      before,
+      after,
+      ...(reason && { reason })
+    };
+  }
+
+  /**
+   * Audit trail is append-only JSON Lines: whitelist/audit-log.jsonl
+   */
+  async appendAudit(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+    await fs.appendFile(
+      path.join(this.whitelistPath, 'audit-log.jsonl'),
+      entries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+    );
+  }
+
+  async loadAudit() {
+    try {
+      const data = await fs.readFile(path.join(this.whitelistPath, 'audit-log.jsonl'), 'utf8');
+      return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch {
+      return [];
+    }
+  }
+
+  async saveWhitelist(whitelist) {
+    // Write to a temp file and rename so a crash never leaves a partial whitelist
+    const whitelistFile = path.join(this.whitelistPath, 'whitelist.json');
+    const tempFile = `${whitelistFile}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempFile, JSON.stringify(whitelist, null, 2));
+    await fs.rename(tempFile, whitelistFile);
+  }
+
+  buildMerkleTree(whitelist, phaseId = null) {
+    const leaves = whitelist.map(kol => encodeLeaf(kol.address, kol.allocation, phaseId));
+    const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+    return { tree, leaves };
+  }
+
+  /**
+   * Load a snapshot by name (as created by createSnapshot) or by file path
+   */
+  async loadSnapshot(nameOrPath) {
+    const candidates = [
+      path.join(this.whitelistPath, 'snapshots', `${nameOrPath.replace(/\.json$/, '')}.json`),
+      path.resolve(nameOrPath)
+    ];
+
+    for (const file of candidates) {
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    throw new Error(`Snapshot not found: ${nameOrPath}`);
+  }
+
+  async loadMerkleData() {
+    const data = await fs.readFile(
+      path.join(this.whitelistPath, 'merkle-tree.json'),
+      'utf8'
+    );
+    return JSON.parse(data);
+  }
+
+  getWhitelistBreakdown(whitelist) {
+    const breakdown = {};
+    
+    Object.keys(this.kolCategories).forEach(tier => {
+      breakdown[tier] = {
+        name: this.kolCategories[tier].name,
+        count: whitelist.filter(kol => kol.tier === tier).length,
+        allocation: whitelist
+          .filter(kol => kol.tier === tier)
+          .reduce((sum, kol) => sum + kol.allocation, 0)
+      };
+    });
+    
+    return breakdown;
+  }
+
+  formatReadableReport(report) {
+    let content = '# Bushido NFT Whitelist Report\n\n';
+    content += `Generated: ${report.summary.generatedAt}\n\n`;
+    content += '## Summary\n\n';
+    content += `- Total Addresses: ${report.summary.totalAddresses}\n`;
+    content += `- Total Allocation: ${report.summary.totalAllocation} NFTs\n\n`;
+    content += '## Breakdown by Tier\n\n';
+    
+    Object.entries(report.breakdown).forEach(([tier, data]) => {
+      content += `### ${data.name}\n`;
+      content += `- Count: ${data.count}\n`;
+      content += `- Total Allocation: ${data.allocation} NFTs\n\n`;
+    });
+    
+    content += '## Recent Additions\n\n';
+    report.recentAdditions.forEach(kol => {
+      content += `- ${kol.address} (${kol.tier}) - ${kol.addedDate}\n`;
+    });
+    
+    return content;
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const manager = new BushidoWhitelistManager();
+  
+  const commands = {
+    init: async () => {
+      await manager.initialize();
+    },
+    
+    add: async (address, tier) => {
+      if (!address || !tier) {
+        console.error('Usage: node whitelist-generator.cjs add <address> <tier>');
+        return;
+      }
+      await manager.addKOL(address, tier);
+    },
+
+    remove: async (address) => {
+      if (!address) {
+        console.error('Usage: node whitelist-generator.cjs remove <address> [--reason <text>]');
+        return;
+      }
+      await manager.removeKOL(address, { reason: options.reason });
+    },
+
+    'set-tier': async (address, tier) => {
+      if (!address || !tier) {
+        console.error('Usage: node whitelist-generator.cjs set-tier <address> <tier> [--notes <text>]');
+        return;
+      }
+      await manager.setTier(address, tier, { notes: options.notes });
+    },
+
+    show: async (address) => {
+      if (!address) {
+        console.error('Usage: node whitelist-generator.cjs show <address>');
+        return;
+      }
+      const { entry, inMerkleTree, history } = await manager.getKOL(address);
+      if (!entry) {
+        console.log(`❌ ${address} is not on the whitelist`);
+      } else {
+        console.log(JSON.stringify(entry, null, 2));
+        console.log(inMerkleTree ? '🌳 Included in merkle-tree.json' : '⚠️  Not in merkle-tree.json yet');
+      }
+      if (history.length > 0) {
+        console.log('\n📜 History:');
+        history.forEach(record => {
+          console.log(`   ${record.timestamp} ${record.action} by ${record.actor}${record.reason ? ` (${record.reason})` : ''}`);
+        });
+      }
+    },
+
+    list: async () => {
+      const kols = await manager.listKOLs({ tier: options.tier });
+      kols.forEach(kol => {
+        console.log(`${kol.address}  ${kol.tier.padEnd(9)}  ${kol.allocation}  ${kol.name || ''}`);
+      });
+      console.log(`\n${kols.length} address(es)${options.tier ? ` in ${options.tier}` : ''}`);
+    },
+
+    import: async (file) => {
+      if (!file) {
+        console.error('Usage: node whitelist-generator.cjs import <file.csv|file.json> [--apply]');
+        return;
+      }
+      const result = await manager.importKOLs(file, { apply: options.apply });
+      if (result.errors.length > 0) {
+        process.exitCode = 1;
+      }
+    },
+    
+    generate: async () => {
+      const phaseId = options.phase !== undefined ? Number(options.phase) : null;
+      await manager.generateMerkleTree({ phaseId });
+    },
+    
+    verify: async () => {
+      const { valid } = await manager.verifyWhitelist();
+      if (!valid) {
+        process.exitCode = 1;
+      }
+    },
+    
+    report: async () => {
+      await manager.generateReport();
+    },
+    
+    export: async () => {
+      await manager.exportForDistribution();
+    },
+    
+    snapshot: async (name) => {
+      await manager.createSnapshot(name);
+    },
+    
+    diff: async (snapshotA, snapshotB) => {
+      if (!snapshotA) {
+        console.error('Usage: node whitelist-generator.cjs diff <snapshotA> [snapshotB] [--json]');
+        return;
+      }
+      const diff = await manager.diffSnapshots(snapshotA, snapshotB);
+      console.log(options.json ? JSON.stringify(diff, null, 2) : manager.formatDiff(diff));
+    },
+
+    'check-root': async () => {
+      const result = await manager.checkMerkleRoot();
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.matches) {
+        process.exitCode = 1;
+      }
+    },
+
+    restore: async (name) => {
+      if (!name) {
+        console.error('Usage: node whitelist-generator.cjs restore <snapshot>');
+        return;
+      }
+      await manager.restoreSnapshot(name);
+    },
+
+    proof: async (address) => {
+      if (!address) {
+        console.error('Usage: node whitelist-generator.cjs proof <address>');
+        return;
+      }
+      const proof = await manager.getProof(address);
+      console.log('Proof for', address);
+      console.log(JSON.stringify(proof, null, 2));
+    },
+
+    'verify-proof': async (address, allocation, proofJson) => {
+      if (!address || !allocation) {
+        console.error('Usage: node whitelist-generator.cjs verify-proof <address> <allocation> [proofJson]');
+        return;
+      }
+      const proof = proofJson ? JSON.parse(proofJson) : (await manager.getProof(address)).proof;
+      const valid = await manager.verifyProof(address, Number(allocation), proof);
+      console.log(valid ? '✅ Proof is valid' : '❌ Proof is invalid');
+      if (!valid) {
+        process.exitCode = 1;
+      }
+    }
+  };
+  
+  const { positionals, values: options } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      phase: { type: 'string' },
+      apply: { type: 'boolean', default: false },
+      tier: { type: 'string' },
+      notes: { type: 'string' },
+      reason: { type: 'string' },
+      by: { type: 'string' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+  const [command, ...args] = positionals;
+
+  if (options.by) {
+    manager.actor = options.by;
+  }
+  
+  if (commands[command]) {
+    commands[command](...args).catch(error => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+  } else {
+    console.log('Available commands:');
+    console.log('  init       - Initialize whitelist directory');
+    console.log('  add        - Add KOL to whitelist');
+    console.log('  import     - Import KOLs from CSV/JSON (dry run unless --apply)');
+    console.log('  remove     - Remove KOL from whitelist');
+    console.log('  set-tier   - Change a KOL\'s tier [--notes <text>]');
+    console.log('  show       - Show a KOL and its change history');
+    console.log('  list       - List KOLs [--tier <tier>]');
+    console.log('  generate   - Generate Merkle tree [--phase <id>]');
+    console.log('  verify     - Verify whitelist integrity');
+    console.log('  report     - Generate whitelist report');
+    console.log('  export     - Export for distribution');
+    console.log('  snapshot   - Create whitelist snapshot');
+    console.log('  diff       - Diff two snapshots, or one against the current list [--json]');
+    console.log('  check-root - Check merkle-tree.json against the current whitelist');
+    console.log('  restore    - Restore the whitelist from a snapshot');
+    console.log('  proof      - Get proof for address');
+    console.log('  verify-proof - Check a proof for address + allocation');
+    console.log('');
+    console.log('Changes are recorded in whitelist/audit-log.jsonl; use --by <name> to name the author.');
+  }
+}
+
+module.exports = BushidoWhitelistManager;
\ No newline at end of file
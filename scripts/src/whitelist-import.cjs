@@ -0,0 +1,131 @@
+// whitelist-import.cjs
+// Parses KOL lists (CSV or JSON) for bulk whitelist imports
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const IMPORT_COLUMNS = ['address', 'tier', 'name', 'twitter', 'discord', 'notes'];
+
+/**
+ * Read a KOL file into rows of { line, data }
+ * CSV rows keep their line number in the file; JSON entries their position
+ */
+async function parseKOLFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.json') {
+    return parseKOLJson(content);
+  }
+  if (extension === '.csv') {
+    return parseKOLCsv(content);
+  }
+  throw new Error(`Unsupported import format: ${extension || filePath} (use .csv or .json)`);
+}
+
+function parseKOLJson(content) {
+  const entries = JSON.parse(content);
+
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON import must be an array of KOL entries');
+  }
+
+  return entries.map((entry, index) => ({
+    line: index + 1,
+    data: pickColumns(entry || {})
+  }));
+}
+
+/**
+ * CSV with an optional header row; without one, columns follow IMPORT_COLUMNS
+ */
+function parseKOLCsv(content) {
+  const records = parseCsvRecords(content);
+  if (records.length === 0) {
+    return [];
+  }
+
+  let columns = IMPORT_COLUMNS;
+  const firstCells = records[0].cells.map(cell => cell.trim().toLowerCase());
+  if (firstCells.includes('address')) {
+    columns = firstCells;
+    records.shift();
+  }
+
+  return records.map(({ line, cells }) => {
+    const entry = {};
+    columns.forEach((column, index) => {
+      entry[column] = cells[index];
+    });
+    return { line, data: pickColumns(entry) };
+  });
+}
+
+/**
+ * Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF, blank lines skipped
+ */
+function parseCsvRecords(content) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  endRecord();
+
+  return records;
+}
+
+function pickColumns(entry) {
+  const data = {};
+  for (const column of IMPORT_COLUMNS) {
+    const value = typeof entry[column] === 'string' ? entry[column].trim() : entry[column];
+    if (value !== undefined && value !== null && value !== '') {
+      data[column] = value;
+    }
+  }
+  return data;
+}
+
+module.exports = { IMPORT_COLUMNS, parseKOLFile };
@@ -0,0 +1,45 @@
+// whitelist-leaf.cjs
+// Merkle leaf encoding shared by the whitelist tools
+
+const keccak256 = require('keccak256');
+
+/**
+ * Version 2 commits the allocation (and optionally the mint phase) into the
+ * leaf, so a proof only authorises the amount it was issued for.
+ * Verified by BushidoNFT.whitelistMint as:
+ *   keccak256(abi.encodePacked(msg.sender, allocation))
+ *   keccak256(abi.encodePacked(msg.sender, allocation, whitelistPhaseId))
+ */
+const LEAF_VERSION = 2;
+
+function leafEncoding(phaseId = null) {
+  return phaseId === null
+    ? 'keccak256(abi.encodePacked(address,uint256))'
+    : 'keccak256(abi.encodePacked(address,uint256,uint256))';
+}
+
+function encodeLeaf(address, allocation, phaseId = null) {
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+
+  const parts = [
+    Buffer.from(address.slice(2), 'hex'),
+    encodeUint256(allocation)
+  ];
+  if (phaseId !== null) {
+    parts.push(encodeUint256(phaseId));
+  }
+
+  return keccak256(Buffer.concat(parts));
+}
+
+function encodeUint256(value) {
+  const number = BigInt(value);
+  if (number < 0n || number >= 2n ** 256n) {
+    throw new Error(`Value out of uint256 range: ${value}`);
+  }
+  return Buffer.from(number.toString(16).padStart(64, '0'), 'hex');
+}
+
+module.exports = { LEAF_VERSION, leafEncoding, encodeLeaf, encodeUint256 };
@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import BushidoMetadataGenerator from '../src/generate-metadata.cjs';
+import { loadCollectionConfig } from '../src/collection-config.cjs';
+import { validateMetadata } from '../src/metadata-schema.cjs';
+
+// The real clans, rarities and traits with two warriors per clan
+const collection = loadCollectionConfig();
+const smallCollection = {
+  ...collection,
+  supply: { totalSupply: collection.clans.length * 2, warriorsPerClan: 2 }
+};
+
+function createGenerator(config = {}) {
+  return new BushidoMetadataGenerator({ collection: smallCollection, imageBaseUri: 'ipfs://images', ...config });
+}
+
+function generateAll(generator) {
+  const dnaOwners = new Map();
+  return Array.from({ length: generator.config.totalSupply }, (_, index) => {
+    const { metadata } = generator.generateUniqueMetadata(index + 1, dnaOwners);
+    dnaOwners.set(metadata.properties.dna, index + 1);
+    return metadata;
+  });
+}
+
+function schemaProblems(generator, metadata) {
+  return validateMetadata(metadata, {
+    clans: generator.clans,
+    rarities: generator.rarities,
+    warriorsPerClan: generator.config.warriorsPerClan
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateUniqueMetadata', () => {
+  test('keeps the first roll when the DNA is free or already the token\'s own', () => {
+    const generator = createGenerator();
+    const first = generator.generateTokenMetadata(1);
+
+    const { metadata, attempt } = generator.generateUniqueMetadata(1, new Map([[first.properties.dna, 1]]));
+
+    expect(attempt).toBe(0);
+    expect(metadata.properties.dna).toBe(first.properties.dna);
+  });
+
+  test('re-rolls traits while another token owns the DNA', () => {
+    const generator = createGenerator();
+    const first = generator.generateTokenMetadata(1);
+
+    const { metadata, attempt, collidedWith } = generator.generateUniqueMetadata(1, new Map([[first.properties.dna, 9]]));
+
+    expect(attempt).toBeGreaterThan(0);
+    expect(collidedWith[0]).toBe(9);
+    expect(metadata.properties.dna).not.toBe(first.properties.dna);
+  });
+
+  test('gives up when every re-roll collides', () => {
+    const generator = createGenerator();
+    const first = generator.generateTokenMetadata(1);
+    jest.spyOn(generator, 'generateTokenMetadata').mockReturnValue(first);
+
+    expect(() => generator.generateUniqueMetadata(1, new Map([[first.properties.dna, 9]])))
+      .toThrow('Could not find unique traits for token 1');
+  });
+
+  test('gives every token in the collection its own DNA', () => {
+    const metadata = generateAll(createGenerator());
+
+    expect(new Set(metadata.map(token => token.properties.dna)).size).toBe(metadata.length);
+  });
+});
+
+describe('metadata schema', () => {
+  test('accepts generated tokens', () => {
+    const generator = createGenerator();
+
+    expect(schemaProblems(generator, generateAll(generator))).toEqual([]);
+  });
+
+  test('reports broken tokens with readable messages', () => {
+    const generator = createGenerator();
+    const token = generator.generateTokenMetadata(1);
+    const broken = {
+      ...token,
+      image: 'undefined/1.png',
+      attributes: token.attributes.filter(attribute => attribute.trait_type !== 'Clan')
+    };
+
+    const [{ tokenId, errors }] = schemaProblems(generator, [broken]);
+
+    expect(tokenId).toBe(1);
+    expect(errors).toEqual(expect.arrayContaining([
+      'image "undefined/1.png" is not an ipfs://, ar:// or https:// URI',
+      'Clan attribute is missing'
+    ]));
+  });
+});
+
+describe('starting index', () => {
+  test('shifts artwork within the token\'s clan', () => {
+    const generator = createGenerator({ startingIndex: 1 });
+
+    expect(generator.generateTokenMetadata(1).image).toBe('ipfs://images/2.png');
+    expect(generator.generateTokenMetadata(2).image).toBe('ipfs://images/1.png');
+    expect(generator.generateTokenMetadata(3).image).toBe('ipfs://images/4.png');
+  });
+
+  test('rejects an index outside the clan', () => {
+    const generator = createGenerator({ startingIndex: 2 });
+
+    expect(() => generator.generateTokenMetadata(1)).toThrow('Starting index must be an integer from 0 to 1');
+  });
+});
+
+describe('calculateRarityScores', () => {
+  test('scores the clan once, not through its Virtue and Clan Kanji', () => {
+    const generator = createGenerator();
+
+    const { traitCounts } = generator.calculateRarityScores(generateAll(generator));
+
+    expect(traitCounts).toHaveProperty('Clan');
+    expect(traitCounts).not.toHaveProperty('Virtue');
+    expect(traitCounts).not.toHaveProperty('Clan Kanji');
+  });
+});
+
+describe('generateContractMetadata', () => {
+  let dir;
+  const contractPath = () => path.join(dir, 'metadata', 'contract.json');
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'contract-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('skips contract.json without a royalty receiver and removes a stale one', async () => {
+    await fs.mkdir(path.dirname(contractPath()), { recursive: true });
+    await fs.writeFile(contractPath(), '{}');
+
+    const { errors } = await createGenerator().generateContractMetadata();
+
+    expect(errors).toEqual(['fee_recipient is missing']);
+    await expect(fs.access(contractPath())).rejects.toThrow();
+  });
+
+  test('writes contract.json once a receiver is set', async () => {
+    const royaltyReceiver = '0xAb8483F64d9C6d1EcF9b849Ae677dD3315835cb2';
+
+    const { errors } = await createGenerator({ royaltyReceiver }).generateContractMetadata();
+
+    expect(errors).toEqual([]);
+    const written = JSON.parse(await fs.readFile(contractPath(), 'utf8'));
+    expect(written).toMatchObject({ fee_recipient: royaltyReceiver, seller_fee_basis_points: collection.contract.royalty.basisPoints });
+  });
+});
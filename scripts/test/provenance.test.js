@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { artworkIdFor, computeProvenance, deriveStartingIndex } from '../src/provenance.cjs';
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('deriveStartingIndex', () => {
+  test('takes the random value modulo the clan size', () => {
+    expect(deriveStartingIndex('205', 200)).toBe(5);
+    expect(deriveStartingIndex('0xff', 200)).toBe(55);
+  });
+
+  test('never leaves the mapping unshifted', () => {
+    expect(deriveStartingIndex('400', 200)).toBe(1);
+  });
+
+  test('rejects values that are not integers', () => {
+    expect(() => deriveStartingIndex('block', 200)).toThrow('Random value must be');
+  });
+});
+
+describe('artworkIdFor', () => {
+  test('is the identity without a starting index', () => {
+    expect([1, 2, 3, 4].map(tokenId => artworkIdFor(tokenId, 0, 2))).toEqual([1, 2, 3, 4]);
+  });
+
+  test('shuffles each clan onto its own artwork exactly once', () => {
+    const warriorsPerClan = 5;
+    const artwork = Array.from({ length: 3 * warriorsPerClan }, (_, index) => artworkIdFor(index + 1, 3, warriorsPerClan));
+
+    for (let clan = 0; clan < 3; clan++) {
+      const ids = artwork.slice(clan * warriorsPerClan, (clan + 1) * warriorsPerClan);
+      expect([...ids].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5].map(position => clan * warriorsPerClan + position));
+    }
+    expect(artwork.slice(0, 5)).toEqual([4, 5, 1, 2, 3]);
+  });
+});
+
+describe('computeProvenance', () => {
+  let dir;
+  let artworkDir;
+  let jsonDir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'provenance-'));
+    artworkDir = path.join(dir, 'artwork');
+    jsonDir = path.join(dir, 'json');
+    await fs.mkdir(artworkDir);
+    await fs.mkdir(jsonDir);
+    for (const id of [1, 2, 3]) {
+      await fs.writeFile(path.join(artworkDir, `${id}.png`), `image ${id}`);
+      await fs.writeFile(path.join(jsonDir, `${id}.json`), JSON.stringify({ id }));
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('hashes the image hashes in artwork order', async () => {
+    const { provenanceHash, images } = await computeProvenance({ artworkDir, jsonDir, totalTokens: 3 });
+
+    expect(images).toEqual([1, 2, 3].map(id => sha256(`image ${id}`)));
+    expect(provenanceHash).toBe(sha256(images.join('')));
+  });
+
+  test('ignores metadata rewrites but not reordered artwork', async () => {
+    const before = await computeProvenance({ artworkDir, jsonDir, totalTokens: 3 });
+
+    await fs.writeFile(path.join(jsonDir, '1.json'), JSON.stringify({ id: 1, image: 'ipfs://rewritten/1.png' }));
+    const rewritten = await computeProvenance({ artworkDir, jsonDir, totalTokens: 3 });
+    expect(rewritten.provenanceHash).toBe(before.provenanceHash);
+    expect(rewritten.metadataHash).not.toBe(before.metadataHash);
+
+    await fs.writeFile(path.join(artworkDir, '1.png'), 'image 2');
+    await fs.writeFile(path.join(artworkDir, '2.png'), 'image 1');
+    const reordered = await computeProvenance({ artworkDir, jsonDir, totalTokens: 3 });
+    expect(reordered.provenanceHash).not.toBe(before.provenanceHash);
+  });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import BushidoWhitelistManager from '../src/whitelist-generator.cjs';
+import { parseKOLFile } from '../src/whitelist-import.cjs';
+
+const ALICE = '0x5B38Da6a701c568545dCfcB03FcB875f56beddC4';
+const BOB = '0xAb8483F64d9C6d1EcF9b849Ae677dD3315835cb2';
+const ZERO = '0x0000000000000000000000000000000000000000';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'whitelist-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeFile(name, content) {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+function createManager() {
+  const manager = new BushidoWhitelistManager();
+  manager.whitelistPath = dir;
+  return manager;
+}
+
+describe('parseKOLFile', () => {
+  test('reads a CSV with a header, quoted fields, CRLF and blank lines', async () => {
+    const file = await writeFile('kols.csv', [
+      'Address,Tier,Name,Notes',
+      `${ALICE},tier1,"Doe, Alice","said ""hi"""`,
+      '',
+      `${BOB},tier2,Bob,`
+    ].join('\r\n'));
+
+    expect(await parseKOLFile(file)).toEqual([
+      { line: 2, data: { address: ALICE, tier: 'tier1', name: 'Doe, Alice', notes: 'said "hi"' } },
+      { line: 4, data: { address: BOB, tier: 'tier2', name: 'Bob' } }
+    ]);
+  });
+
+  test('falls back to the default column order without a header', async () => {
+    const file = await writeFile('kols.csv', `${ALICE},tier3,Alice,@alice\n`);
+
+    expect(await parseKOLFile(file)).toEqual([
+      { line: 1, data: { address: ALICE, tier: 'tier3', name: 'Alice', twitter: '@alice' } }
+    ]);
+  });
+
+  test('keeps line numbers of records spanning several lines', async () => {
+    const file = await writeFile('kols.csv', `address,notes\n${ALICE},"two\nlines"\n${BOB},x\n`);
+
+    expect((await parseKOLFile(file)).map(row => row.line)).toEqual([2, 4]);
+  });
+
+  test('rejects an unterminated quote', async () => {
+    const file = await writeFile('kols.csv', `address,name\n${ALICE},"Alice\n`);
+
+    await expect(parseKOLFile(file)).rejects.toThrow('Unterminated quoted field starting on line 2');
+  });
+
+  test('reads a JSON array', async () => {
+    const file = await writeFile('kols.json', JSON.stringify([{ address: ALICE, tier: 'tier1', extra: 'ignored' }]));
+
+    expect(await parseKOLFile(file)).toEqual([{ line: 1, data: { address: ALICE, tier: 'tier1' } }]);
+  });
+});
+
+describe('BushidoWhitelistManager.validateImportRows', () => {
+  const messages = rows => createManager().validateImportRows(rows).map(error => `${error.line}: ${error.message}`);
+
+  test('accepts valid rows', () => {
+    expect(messages([{ line: 1, data: { address: ALICE, tier: 'tier1' } }])).toEqual([]);
+  });
+
+  test('rejects bad checksums, unknown tiers, duplicates and the zero address', () => {
+    expect(messages([
+      { line: 1, data: { address: ALICE.replace('B', 'b'), tier: 'tier1' } },
+      { line: 2, data: { address: BOB, tier: 'gold' } },
+      { line: 3, data: { address: BOB.toLowerCase(), tier: 'tier2' } },
+      { line: 4, data: { address: ZERO, tier: 'tier1' } }
+    ])).toEqual([
+      `1: Address fails EIP-55 checksum: ${ALICE.replace('B', 'b')}`,
+      '2: Invalid tier: gold',
+      `3: Duplicate of line 2: ${BOB.toLowerCase()}`,
+      '4: The zero address cannot be whitelisted'
+    ]);
+  });
+
+  test('rejects non-string JSON values', () => {
+    expect(messages([{ line: 1, data: { address: ALICE, tier: 'tier1', notes: 5 } }])).toEqual(['1: notes must be a string: 5']);
+  });
+});
+
+describe('BushidoWhitelistManager', () => {
+  test('merges a re-imported KOL into the existing entry', async () => {
+    const manager = createManager();
+    const added = await manager.addKOL(ALICE, 'tier3', { name: 'Alice', twitter: '@alice' });
+
+    await manager.addBulkKOLs([{ address: ALICE, tier: 'tier1', notes: 'promoted' }]);
+
+    const [entry] = await manager.loadWhitelist();
+    expect(entry).toMatchObject({
+      address: ALICE.toLowerCase(),
+      tier: 'tier1',
+      allocation: manager.kolCategories.tier1.allocation,
+      name: 'Alice',
+      twitter: '@alice',
+      notes: 'promoted',
+      addedDate: added.addedDate
+    });
+    expect(entry.updatedDate).toEqual(expect.any(String));
+  });
+
+  test('exports the root and phase the proofs were built for', async () => {
+    const manager = createManager();
+    await manager.addBulkKOLs([{ address: ALICE, tier: 'tier1' }, { address: BOB, tier: 'tier2' }]);
+    const { root } = await manager.generateMerkleTree({ phaseId: 3 });
+
+    const distribution = await manager.exportForDistribution();
+
+    expect(distribution).toMatchObject({ root, phaseId: 3, leafVersion: 2 });
+    const alice = distribution.addresses.find(entry => entry.address === ALICE.toLowerCase());
+    expect(await manager.verifyProof(ALICE, alice.allocation, alice.proof)).toBe(true);
+    expect(ethers.isHexString(root, 32)).toBe(true);
+  });
+
+  test('refuses to export a phased root that lost its phase', async () => {
+    const manager = createManager();
+    await manager.addBulkKOLs([{ address: ALICE, tier: 'tier1' }]);
+    const merkleData = await manager.generateMerkleTree({ phaseId: 3 });
+    await fs.writeFile(path.join(dir, 'merkle-tree.json'), JSON.stringify({ ...merkleData, phaseId: null }));
+
+    await expect(manager.exportForDistribution()).rejects.toThrow('regenerate it');
+  });
+});
@@ -0,0 +1,57 @@
+import { ethers } from 'ethers';
+import { MerkleTree } from 'merkletreejs';
+import keccak256 from 'keccak256';
+import { encodeLeaf, leafEncoding } from '../src/whitelist-leaf.cjs';
+
+const MINTER = '0x5B38Da6a701c568545dCfcB03FcB875f56beddC4';
+
+// What BushidoNFT.whitelistMint hashes
+function contractLeaf(address, allocation, phaseId = null) {
+  return phaseId === null
+    ? ethers.solidityPackedKeccak256(['address', 'uint256'], [address, allocation])
+    : ethers.solidityPackedKeccak256(['address', 'uint256', 'uint256'], [address, allocation, phaseId]);
+}
+
+describe('encodeLeaf', () => {
+  test('matches abi.encodePacked(address, allocation)', () => {
+    expect(ethers.hexlify(encodeLeaf(MINTER, 3))).toBe(contractLeaf(MINTER, 3));
+  });
+
+  test('matches abi.encodePacked(address, allocation, phaseId)', () => {
+    expect(ethers.hexlify(encodeLeaf(MINTER, 3, 2))).toBe(contractLeaf(MINTER, 3, 2));
+  });
+
+  test('hashes lowercase and checksummed addresses alike', () => {
+    expect(encodeLeaf(MINTER.toLowerCase(), 1)).toEqual(encodeLeaf(MINTER, 1));
+  });
+
+  test('commits to the allocation and the phase', () => {
+    expect(encodeLeaf(MINTER, 3)).not.toEqual(encodeLeaf(MINTER, 2));
+    expect(encodeLeaf(MINTER, 3, 1)).not.toEqual(encodeLeaf(MINTER, 3, 2));
+    expect(encodeLeaf(MINTER, 3, 1)).not.toEqual(encodeLeaf(MINTER, 3));
+  });
+
+  test('rejects malformed addresses', () => {
+    expect(() => encodeLeaf('0x1234', 1)).toThrow('Invalid address');
+  });
+
+  test('names the encoding it uses', () => {
+    expect(leafEncoding()).toBe('keccak256(abi.encodePacked(address,uint256))');
+    expect(leafEncoding(1)).toBe('keccak256(abi.encodePacked(address,uint256,uint256))');
+  });
+});
+
+describe('whitelist proofs', () => {
+  const wallets = Array.from({ length: 5 }, () => ethers.Wallet.createRandom().address);
+
+  test.each([[null], [4]])('verify against leaves the contract builds (phase %p)', phaseId => {
+    const leaves = wallets.map((address, index) => encodeLeaf(address, index + 1, phaseId));
+    const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+
+    wallets.forEach((address, index) => {
+      const proof = tree.getHexProof(leaves[index]);
+      const leaf = contractLeaf(address, index + 1, phaseId);
+      expect(MerkleTree.verify(proof, leaf, tree.getHexRoot(), keccak256, { sortPairs: true })).toBe(true);
+    });
+  });
+});
@@ -2,6 +2,7 @@ const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
 const fs = require('fs').promises;
 const path = require('path');
+const { LEAF_VERSION, leafEncoding, encodeLeaf } = require('../src/whitelist-leaf.cjs');
 
 class BushidoWhitelistManager {
   constructor() {
@@ -42,9 +43,9 @@ class BushidoWhitelistManager {
     return kolData;
   }
 
-  async generateMerkleTree() {
+  async generateMerkleTree({ phaseId = null } = {}) {
     const whitelist = await this.loadWhitelist();
-    const leaves = whitelist.map(kol => keccak256(kol.address));
+    const leaves = whitelist.map(kol => encodeLeaf(kol.address, kol.allocation, phaseId));
     const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
     const root = tree.getHexRoot();
     
@@ -60,6 +61,9 @@ class BushidoWhitelistManager {
     
     const merkleData = {
       root,
+      leafVersion: LEAF_VERSION,
+      leafEncoding: leafEncoding(phaseId),
+      phaseId,
       totalAddresses: whitelist.length,
       generatedAt: new Date().toISOString(),
       proofs